@@ -0,0 +1,29 @@
+// api/resume.js — Vercel serverless function for GET /api/resume (plus /api/resume/schema,
+// /api/resume.json, /api/resume/download and POST /api/resume/reload, rewritten here by vercel.json)
+import { RESUME_SCHEMA, getResumeResponse, downloadResumeResponse, reloadResumeResponse, respondWithResume } from '../server/lib/resume-api.js';
+
+export default async function handler(req, res) {
+  // The cache is per instance, so a reload only refreshes the instance that receives it
+  if (req.method === 'POST' && req.query?.reload) {
+    return respondWithResume(res, () => reloadResumeResponse(req.headers.authorization));
+  }
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method Not Allowed' });
+  }
+  if (req.query?.schema) return res.status(200).json(RESUME_SCHEMA);
+  if (req.query?.download) {
+    return respondWithResume(res, () => downloadResumeResponse({
+      format: String(req.query.format || 'pdf'),
+      ifNoneMatch: req.headers['if-none-match'],
+      ifModifiedSince: req.headers['if-modified-since']
+    }));
+  }
+
+  // Same handlers as the Express proxy (server/index.js)
+  return respondWithResume(res, () => getResumeResponse({
+    format: String(req.query?.format || 'json'),
+    ifNoneMatch: req.headers['if-none-match'],
+    ifModifiedSince: req.headers['if-modified-since']
+  }));
+}
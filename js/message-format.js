@@ -0,0 +1,99 @@
+/**
+ * Chat bubble formatter, used by the terminal (window.MessageFormat, js/scripts.js) and loadable
+ * in Node for tests. Model and command text is escaped; the only markup produced is hyphen lists,
+ * line breaks, **bold**, `inline code` and whitelisted links.
+ *
+ * formatMessage(text, { origin }) returns the bubble HTML. `origin` is the site whose own URLs may
+ * be linked (defaults to the current page's origin in the browser).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.MessageFormat = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Hosts bubbles may link to (besides mailto: and this page's own #anchors)
+    const LINK_HOSTS = ['github.com', 'www.github.com', 'linkedin.com', 'www.linkedin.com'];
+
+    // `code`, [label](url), **bold**, bare URLs and e-mail addresses
+    const INLINE_MARKUP = /`([^`\n]+)`|\[([^\]\n]+)\]\(([^)\s]+)\)|\*\*([^*\n]+)\*\*|(https?:\/\/[^\s<>()]*[^\s<>().,;:!?'"])|([\w.%+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,})/gi;
+
+    function pageOrigin() {
+        return typeof location !== 'undefined' ? location.origin : '';
+    }
+
+    function escapeHtml(str) {
+        return String(str || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    // The href to use for a link in a bubble, or null when it is not whitelisted
+    function safeHref(url, origin = pageOrigin()) {
+        const value = String(url || '').trim();
+        if (/^mailto:[\w.%+-]+@[\w.-]+\.[a-z]{2,}$/i.test(value)) return value;
+        if (/^#[a-z][\w-]*$/i.test(value)) return value;
+        try {
+            const parsed = new URL(value);
+            const ownSite = Boolean(origin) && parsed.origin === origin;
+            if ((parsed.protocol === 'https:' && LINK_HOSTS.includes(parsed.hostname)) || ownSite) return parsed.href;
+        } catch (e) { /* not an absolute URL */ }
+        return null;
+    }
+
+    function linkHtml(href, label) {
+        const external = !href.startsWith('#') && !href.startsWith('mailto:');
+        return `<a href="${escapeHtml(href)}"${external ? ' target="_blank" rel="noopener noreferrer"' : ''}>${label}</a>`;
+    }
+
+    function formatInline(text, origin = pageOrigin()) {
+        let html = '';
+        let last = 0;
+        text.replace(INLINE_MARKUP, (match, code, label, url, bold, bareUrl, email, offset) => {
+            html += escapeHtml(text.slice(last, offset));
+            last = offset + match.length;
+            if (code) {
+                html += `<code>${escapeHtml(code)}</code>`;
+            } else if (label) {
+                const href = safeHref(url, origin);
+                // Links off the whitelist stay readable as text; other schemes keep only the label
+                html += href ? linkHtml(href, formatInline(label, origin))
+                    : escapeHtml(/^https?:\/\//i.test(url) ? `${label} (${url})` : label);
+            } else if (bold) {
+                html += `<strong>${formatInline(bold, origin)}</strong>`;
+            } else if (bareUrl) {
+                const href = safeHref(bareUrl, origin);
+                html += href ? linkHtml(href, escapeHtml(bareUrl)) : escapeHtml(bareUrl);
+            } else {
+                html += linkHtml(`mailto:${email}`, escapeHtml(email));
+            }
+            return match;
+        });
+        return html + escapeHtml(text.slice(last));
+    }
+
+    /** Render model or command text as safe bubble HTML. */
+    function formatMessage(text, { origin = pageOrigin() } = {}) {
+        const blocks = [];
+        let list = null;
+        String(text || '').trim().replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+            const item = line.match(/^\s*[-*•]\s+(.*)$/);
+            if (item) {
+                if (!list) blocks.push(list = []);
+                list.push(`<li>${formatInline(item[1], origin)}</li>`);
+                return;
+            }
+            list = null;
+            blocks.push(formatInline(line, origin));
+        });
+        // Lines are separated by <br>, except around lists (block elements)
+        return blocks.reduce((html, block, i) => {
+            const isList = Array.isArray(block);
+            const previousIsList = i > 0 && Array.isArray(blocks[i - 1]);
+            const separator = i === 0 || isList || previousIsList ? '' : '<br>';
+            return html + separator + (isList ? `<ul>${block.join('')}</ul>` : block);
+        }, '');
+    }
+
+    return { LINK_HOSTS, escapeHtml, safeHref, formatMessage };
+});
@@ -0,0 +1,118 @@
+/**
+ * Model reply normalizer, shared by the page (window.ModelText) and the chat server
+ * (server/lib/chat-core.js), so a model answering in JSON never shows up as raw braces.
+ *
+ * extractModelText(payload) returns the reply text, or null when there is none. It unwraps:
+ *   - JSON inside a string ('{"reply": "..."}', '["..."]'); JSON without any text gives null
+ *   - { reply }, { text }, { generated_text } (Hugging Face), { content: { parts: [{ text }] } }
+ *   - arrays of parts (strings or { text }), joined; other arrays give their first reply
+ *   - OpenAI-style choices[].message.content (string or parts), choices[].delta.content, choices[].text
+ *   - payloads nested under result / data / response / output
+ * and as a last resort the first non-empty string anywhere in the payload.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ModelText = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const NESTED_KEYS = ['result', 'data', 'response', 'output'];
+    const TEXT_KEYS = ['reply', 'text', 'generated_text'];
+
+    function looksLikeJsonString(s) {
+        return typeof s === 'string' && /^[\[{]\s*["'A-Za-z0-9]/.test(s.trim());
+    }
+
+    const isPart = p => typeof p === 'string' || typeof p?.text === 'string' || typeof p?.content === 'string';
+
+    // Text of a parts array: strings or { text } / { content } objects
+    function joinParts(parts) {
+        return parts.map(p => (typeof p === 'string' ? p : (p?.text || p?.content || ''))).join('\n\n').trim();
+    }
+
+    function fromString(s) {
+        const t = s.trim();
+        if (looksLikeJsonString(t)) {
+            let parsed;
+            try {
+                parsed = JSON.parse(t);
+            } catch (e) {
+                // Not JSON after all (e.g. "[1] Der Kurator ..."); the raw text is the reply
+                return t;
+            }
+            return extractModelText(parsed);
+        }
+        return t || null;
+    }
+
+    function fromChoices(choices) {
+        for (const c of choices) {
+            // Full responses carry a message, streamed chunks a delta
+            const content = c?.message?.content ?? c?.delta?.content;
+            if (typeof content === 'string' && content.trim()) return fromString(content);
+            const parts = Array.isArray(content) ? content : content?.parts;
+            if (Array.isArray(parts) && parts.length) {
+                const text = joinParts(parts);
+                if (text) return text;
+            }
+            if (typeof c?.text === 'string' && c.text.trim()) return fromString(c.text);
+        }
+        return null;
+    }
+
+    // Depth-first search for the first non-empty string
+    function findFirstString(value, seen = new Set()) {
+        if (typeof value === 'string') return value.trim() || null;
+        if (!value || typeof value !== 'object' || seen.has(value)) return null;
+        seen.add(value);
+        for (const item of Array.isArray(value) ? value : Object.values(value)) {
+            const found = findFirstString(item, seen);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    function extractModelText(payload) {
+        if (payload === null || payload === undefined) return null;
+        if (typeof payload === 'string') return fromString(payload);
+        if (typeof payload !== 'object') return null;
+
+        if (Array.isArray(payload)) {
+            if (payload.length && payload.every(isPart)) return joinParts(payload) || null;
+            for (const item of payload) {
+                const text = extractModelText(item);
+                if (text) return text;
+            }
+            return null;
+        }
+
+        for (const key of TEXT_KEYS) {
+            if (typeof payload[key] === 'string' && payload[key].trim()) {
+                const text = fromString(payload[key]);
+                if (text) return text;
+            }
+        }
+
+        if (Array.isArray(payload.content?.parts) && payload.content.parts.length) {
+            const text = joinParts(payload.content.parts);
+            if (text) return text;
+        }
+
+        if (Array.isArray(payload.choices) && payload.choices.length) {
+            const text = fromChoices(payload.choices);
+            if (text) return text;
+        }
+
+        for (const key of NESTED_KEYS) {
+            if (payload[key]) {
+                const text = extractModelText(payload[key]);
+                if (text) return text;
+            }
+        }
+
+        return findFirstString(payload);
+    }
+
+    return { extractModelText };
+});
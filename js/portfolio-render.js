@@ -0,0 +1,183 @@
+/**
+ * Portfolio card renderer, shared by the page (window.PortfolioRender, js/scripts.js) and the
+ * server pre-render (server/lib/portfolio-content.js), so both build the same markup from
+ * content/portfolio.json.
+ *
+ * Each rendered section sits inside its container ([data-content="<section>"]) between two
+ * marker comments; the opening one carries a hash of the section's content:
+ *   <!-- content:projects 1a2b3c4d --> ...cards... <!-- /content:projects -->
+ * so the page can tell whether the pre-rendered cards are current.
+ *
+ * Text fields are escaped; `**bold**` in details is the only markup.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PortfolioRender = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const SECTIONS = ['projects', 'experience', 'publications', 'skills', 'certifications'];
+
+    function escapeHtml(text) {
+        return String(text ?? '').replace(/[&<>"']/g, ch =>
+            ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+    }
+
+    function inline(text) {
+        return escapeHtml(text).replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
+    }
+
+    // Font Awesome classes and CSS colours go into attributes, so only plain values pass
+    const iconClass = value => (/^[\w -]+$/.test(String(value || '')) ? value : 'fas fa-circle');
+    const safeColor = value => (/^(#[0-9a-f]{3,8}|[a-z]+)$/i.test(String(value || '')) ? value : '');
+
+    function externalLink(url, className, label) {
+        return `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer" class="${className}">${label}</a>`;
+    }
+
+    // Nested lines; arrays are indented one level (4 spaces) deeper than their parent
+    function lines(...parts) {
+        return parts.flatMap(part => (Array.isArray(part) ? lines(...part).map(line => `    ${line}`) : part ? [part] : []));
+    }
+
+    function list(items, className) {
+        return [
+            className ? `<ul class="${className}">` : '<ul>',
+            (items || []).map(item => `<li>${inline(item)}</li>`),
+            '</ul>'
+        ];
+    }
+
+    const CARDS = {
+        projects: p => lines(
+            '<div class="project-card">',
+            [
+                p.image ? '<div class="project-img">' : '',
+                p.image ? [`<img src="${escapeHtml(p.image.src)}" alt="${escapeHtml(p.image.alt || p.title)}">`] : '',
+                p.image ? '</div>' : '',
+                '<div class="project-content">',
+                [
+                    `<h3>${escapeHtml(p.title)}</h3>`,
+                    '<div class="project-meta">',
+                    (p.tags || []).map(tag => `<span class="project-tag">${escapeHtml(tag)}</span>`),
+                    '</div>',
+                    ...list(p.details, 'project-details'),
+                    '<div class="project-links">',
+                    (p.links || []).map(link => externalLink(link.url, 'project-link', escapeHtml(link.label))),
+                    '</div>'
+                ],
+                '</div>'
+            ],
+            '</div>'
+        ),
+
+        experience: e => lines(
+            '<div class="timeline-item">',
+            [
+                '<div class="timeline-header">',
+                [
+                    '<div class="role-company">',
+                    [
+                        e.logo ? `<img src="${escapeHtml(e.logo.src)}" alt="${escapeHtml(e.logo.alt || `${e.company} Logo`)}" class="company-logo">` : '',
+                        '<div class="role-text">',
+                        [`<h3 class="role-title">${escapeHtml(e.role)}</h3>`, `<span class="company-name">${escapeHtml(e.company)}</span>`],
+                        '</div>'
+                    ],
+                    '</div>',
+                    '<div class="timeline-meta">',
+                    [
+                        `<span class="date">${escapeHtml(e.dates)}</span>`,
+                        e.letter ? `<a href="${escapeHtml(e.letter.url)}" download class="download-btn" title="${escapeHtml(e.letter.title || 'Download letter')}">` : '',
+                        e.letter ? ['<i class="fas fa-download"></i>'] : '',
+                        e.letter ? '</a>' : ''
+                    ],
+                    '</div>'
+                ],
+                '</div>',
+                ...list(e.details)
+            ],
+            '</div>'
+        ),
+
+        publications: p => {
+            const byline = [['Authors', p.authors], ['Journal', p.journal], ['Published', p.published]]
+                .filter(([, value]) => value)
+                .map(([label, value]) => `<strong>${label}:</strong> ${escapeHtml(value)}`)
+                .join(' · ');
+            return lines(
+                '<div class="publication-card">',
+                [
+                    '<div class="pub-left">',
+                    ['<div class="publication-icon">', ['<i class="fas fa-file-alt"></i>'], '</div>', `<div class="conference-badge">${escapeHtml(p.badge)}</div>`],
+                    '</div>',
+                    '<div class="pub-right">',
+                    [
+                        `<h3 class="pub-title">${escapeHtml(p.title)}</h3>`,
+                        byline ? `<p class="pub-authors">${byline}</p>` : '',
+                        p.abstract ? `<p class="pub-abstract">${escapeHtml(p.abstract)}</p>` : '',
+                        '<div class="publication-links">',
+                        (p.links || []).map(link => externalLink(link.url, link.outline ? 'btn btn-outline' : 'btn',
+                            `<i class="${iconClass(link.icon || 'fas fa-external-link-alt')}"></i> ${escapeHtml(link.label)}`)),
+                        '</div>'
+                    ],
+                    '</div>'
+                ],
+                '</div>'
+            );
+        },
+
+        skills: s => lines(
+            '<div class="skill-category">',
+            [
+                '<div class="skill-icon">',
+                [`<i class="${iconClass(s.icon)}"></i>`],
+                '</div>',
+                `<h3>${escapeHtml(s.category)}</h3>`,
+                ...list(s.items)
+            ],
+            '</div>'
+        ),
+
+        certifications: c => {
+            const color = safeColor(c.color);
+            const badge = c.logo
+                ? `<img src="${escapeHtml(c.logo.src)}" alt="${escapeHtml(c.logo.alt || `${c.issuer} Logo`)}" style="width: 140px; height: auto;">`
+                : `<i class="${iconClass(c.icon)}"${color ? ` style="color: ${color};"` : ''}></i>`;
+            return lines(
+                '<div class="certification-card">',
+                ['<div class="certification-icon">', [badge], '</div>', `<h3>${escapeHtml(c.title)}</h3>`, `<p>${escapeHtml(c.issuer)}</p>`],
+                '</div>'
+            );
+        }
+    };
+
+    // FNV-1a over the section's JSON: cheap, synchronous and identical in Node and the browser
+    function contentHash(items) {
+        const text = JSON.stringify(items || []);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(16).padStart(8, '0');
+    }
+
+    /** Cards of one section, one per blank-line-separated block, each line prefixed with `indent`. */
+    function renderSection(name, items, indent = '') {
+        return (items || [])
+            .map(item => CARDS[name](item).map(line => indent + line).join('\n'))
+            .join('\n\n');
+    }
+
+    /** The section with its marker comments, ready to replace a container's contents. */
+    function renderMarked(name, items, indent = '') {
+        return [
+            `${indent}<!-- content:${name} ${contentHash(items)} -->`,
+            renderSection(name, items, indent),
+            `${indent}<!-- /content:${name} -->`
+        ].join('\n');
+    }
+
+    return { SECTIONS, contentHash, renderSection, renderMarked };
+});
@@ -0,0 +1,188 @@
+/**
+ * The /api/resume contract, shared by the page (window.ResumeContract) and the server
+ * (server/lib/resume-api.js).
+ *
+ *   GET /api/resume               { version, generatedAt, sources, resume } (RESUME_SCHEMA)
+ *   GET /api/resume?format=text   resumeToText(resume), the plain-text rendering used as LLM context
+ *   GET /api/resume/schema        RESUME_SCHEMA
+ *   GET /api/resume.json          the same resume in the JSON Resume schema (server/lib/json-resume.js)
+ *
+ * Bump RESUME_CONTRACT_VERSION on any breaking change to the shape; clients ignore other versions.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ResumeContract = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const RESUME_CONTRACT_VERSION = 1;
+
+    const text = { type: 'string' };
+    const textList = { type: 'array', items: text };
+    const page = { type: ['integer', 'null'], minimum: 1, description: 'Page of the resume PDF the entry is on' };
+    const cardTitle = { type: 'string', description: 'Heading of the matching card on the portfolio page' };
+    const links = {
+        type: 'array',
+        items: { type: 'object', required: ['label', 'url'], properties: { label: text, url: text } }
+    };
+
+    const RESUME_SCHEMA = {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        $id: '/api/resume/schema',
+        title: 'Resume response',
+        type: 'object',
+        required: ['version', 'generatedAt', 'sources', 'resume'],
+        properties: {
+            version: { const: RESUME_CONTRACT_VERSION },
+            generatedAt: { type: 'string', format: 'date-time' },
+            sources: { type: 'array', items: { enum: ['PDF', 'Portfolio HTML'] } },
+            error: { type: 'string', description: 'Set when the fallback resume was served' },
+            resume: {
+                type: 'object',
+                required: ['name', 'summary', 'education', 'experience', 'projects', 'skills', 'certifications', 'publications', 'achievements'],
+                properties: {
+                    name: text,
+                    summary: text,
+                    contact: {
+                        type: 'object',
+                        description: 'Optional; absent from resumes parsed before it was added',
+                        properties: {
+                            email: text,
+                            profiles: {
+                                type: 'array',
+                                items: { type: 'object', required: ['network', 'url'], properties: { network: text, url: text } }
+                            }
+                        }
+                    },
+                    education: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['degree', 'institution'],
+                            properties: { degree: text, institution: text, dates: text, grade: text, details: textList, page, cardTitle }
+                        }
+                    },
+                    experience: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['role', 'company', 'details'],
+                            properties: { role: text, company: text, location: text, dates: text, details: textList, page, cardTitle }
+                        }
+                    },
+                    projects: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['name', 'details'],
+                            properties: { name: text, dates: text, tags: textList, details: textList, links, page, cardTitle }
+                        }
+                    },
+                    skills: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['category', 'items'],
+                            properties: { category: text, items: textList, cardTitle }
+                        }
+                    },
+                    certifications: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['title'],
+                            properties: { title: text, issuer: text, year: text, page, cardTitle }
+                        }
+                    },
+                    publications: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['title'],
+                            properties: { title: text, venue: text, date: text, year: text, authors: text, abstract: text, links, page, cardTitle }
+                        }
+                    },
+                    achievements: textList
+                }
+            }
+        }
+    };
+
+    function typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+        return typeof value;
+    }
+
+    // The subset of JSON Schema RESUME_SCHEMA uses: type, const, enum, required, properties,
+    // items, minimum and format: date-time. Returns a list of "path: problem" strings.
+    function validate(schema, value, path = '$') {
+        const errors = [];
+        if ('const' in schema && value !== schema.const) errors.push(`${path}: expected ${JSON.stringify(schema.const)}`);
+        if (schema.enum && !schema.enum.includes(value)) errors.push(`${path}: expected one of ${schema.enum.join(', ')}`);
+        if (schema.type) {
+            const types = [].concat(schema.type);
+            const actual = typeOf(value);
+            if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+                return errors.concat(`${path}: expected ${types.join(' or ')}, got ${actual}`);
+            }
+        }
+        if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path}: below ${schema.minimum}`);
+        }
+        if (schema.format === 'date-time' && typeof value === 'string' && Number.isNaN(Date.parse(value))) {
+            errors.push(`${path}: not a date-time`);
+        }
+        if (typeOf(value) === 'object') {
+            (schema.required || []).forEach(key => {
+                if (!(key in value)) errors.push(`${path}.${key}: required`);
+            });
+            Object.entries(schema.properties || {}).forEach(([key, sub]) => {
+                if (key in value) errors.push(...validate(sub, value[key], `${path}.${key}`));
+            });
+        }
+        if (Array.isArray(value) && schema.items) {
+            value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+        }
+        return errors;
+    }
+
+    function validateResumeResponse(payload) {
+        return validate(RESUME_SCHEMA, payload);
+    }
+
+    const join = (parts, separator) => parts.filter(Boolean).join(separator);
+
+    // Plain-text rendering of the resume, one block per section
+    function resumeToText(resume) {
+        const r = resume || {};
+        const section = (heading, lines) => (lines.length ? [heading.toUpperCase(), ...lines].join('\n') : '');
+        const bullets = list => (list || []).filter(Boolean).map(item => `- ${item}`);
+
+        return join([
+            join([r.name, r.summary], '\n'),
+            section('Experience', (r.experience || []).map(e => join([
+                `${join([e.role, e.company], ' @ ')}${e.location ? `, ${e.location}` : ''}${e.dates ? ` (${e.dates})` : ''}`,
+                ...bullets(e.details)
+            ], '\n'))),
+            section('Projects', (r.projects || []).map(p => join([
+                `${p.name}${p.dates ? ` (${p.dates})` : ''}`,
+                (p.tags || []).length ? `Tags: ${p.tags.join(', ')}` : '',
+                ...bullets(p.details)
+            ], '\n'))),
+            section('Education', (r.education || []).map(e => join([
+                `${join([e.degree, e.institution], ' — ')}${e.dates ? ` (${e.dates})` : ''}${e.grade ? `, CGPA: ${e.grade}` : ''}`,
+                ...bullets(e.details)
+            ], '\n'))),
+            section('Skills', (r.skills || []).map(s => `${s.category}: ${(s.items || []).join(', ')}`)),
+            section('Certifications', (r.certifications || []).map(c =>
+                `- ${c.title}${c.issuer ? ` (${c.issuer})` : ''}${c.year ? `, ${c.year}` : ''}`)),
+            section('Publications', (r.publications || []).map(p => join([p.title, p.venue, p.date || p.year], ', '))),
+            section('Achievements', bullets(r.achievements))
+        ], '\n\n');
+    }
+
+    return { RESUME_CONTRACT_VERSION, RESUME_SCHEMA, validate, validateResumeResponse, resumeToText };
+});
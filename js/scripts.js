@@ -4,24 +4,6 @@
 
 document.addEventListener('DOMContentLoaded', function() {
 
-    // =============================================
-    // RESUME TEXT LOADER (FOR AI CONTEXT)
-    // =============================================
-    let cachedResumeText = '';
-
-    async function loadResumeText() {
-        try {
-            const res = await fetch('/api/resume');
-            const data = await res.json();
-            cachedResumeText = data?.resume || '';
-            console.log("✅ Resume loaded for AI. Length:", cachedResumeText.length);
-        } catch (e) {
-            console.warn('⚠️ Resume not loaded:', e);
-        }
-    }
-
-    // Load resume once when page loads
-    loadResumeText();
     // =============================================
     // 1. ENHANCED MOBILE MENU WITH TOUCH SUPPORT
     // =============================================
@@ -126,25 +108,28 @@ document.addEventListener('DOMContentLoaded', function() {
     // =============================================
     // 2. SMOOTH SCROLLING
     // =============================================
+    // Shared with the AI terminal's citation chips
+    function smoothScrollTo(targetElement, targetId) {
+        if (!targetElement) return;
+        const headerHeight = header?.offsetHeight || 0;
+        const targetPosition = targetElement.getBoundingClientRect().top + window.scrollY - headerHeight - 20;
+
+        window.scrollTo({
+            top: targetPosition,
+            behavior: 'smooth'
+        });
+
+        if (targetId && history.pushState) {
+            history.pushState(null, null, targetId);
+        }
+    }
+
     document.querySelectorAll('a[href^="#"]').forEach(anchor => {
         anchor.addEventListener('click', function(e) {
             e.preventDefault();
             const targetId = this.getAttribute('href');
             const targetElement = document.querySelector(targetId);
-            
-            if (targetElement) {
-                const headerHeight = header?.offsetHeight || 0;
-                const targetPosition = targetElement.offsetTop - headerHeight - 20;
-                
-                window.scrollTo({
-                    top: targetPosition,
-                    behavior: 'smooth'
-                });
-                
-                if (history.pushState) {
-                    history.pushState(null, null, targetId);
-                }
-            }
+            smoothScrollTo(targetElement, targetId);
         });
     });
 
@@ -192,6 +177,36 @@ document.addEventListener('DOMContentLoaded', function() {
         observer.observe(element);
     });
 
+    // Project, experience, publication, skill and certification cards come from
+    // content/portfolio.json (rendered by js/portfolio-render.js). The served page already has
+    // them pre-rendered, so a section is only rebuilt when its content hash no longer matches.
+    async function renderPortfolioContent() {
+        const { SECTIONS, contentHash, renderMarked } = window.PortfolioRender;
+        let content;
+        try {
+            const res = await fetch('content/portfolio.json', { cache: 'no-cache' });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            content = await res.json();
+        } catch (e) {
+            console.warn('⚠️ Portfolio content not loaded, keeping the pre-rendered cards:', e);
+            return;
+        }
+        SECTIONS.forEach(name => {
+            const container = document.querySelector(`[data-content="${name}"]`);
+            if (!container || !Array.isArray(content[name])) return;
+            const marker = Array.from(container.childNodes).find(node =>
+                node.nodeType === Node.COMMENT_NODE && node.data.trim().startsWith(`content:${name}`));
+            if (marker && marker.data.trim() === `content:${name} ${contentHash(content[name])}`) return;
+            container.innerHTML = renderMarked(name, content[name]);
+            Array.from(container.children).forEach(card => {
+                card.classList.add('fade-in');
+                observer.observe(card);
+            });
+        });
+    }
+
+    renderPortfolioContent();
+
     // =============================================
     // 5. LAZY LOADING IMAGES
     // =============================================
@@ -405,15 +420,38 @@ function initStatCounters() {
             const closeBtn = terminal?.querySelector('.close');
             if (!terminalToggle || !terminal || !chatBody || !chatMessages || !terminalInput) return;
 
+            // The conversation itself lives on the server; only its session id is kept across reloads
+            const SESSION_STORAGE_KEY = 'iris.chatSession';
+
+            function loadSessionId() {
+                try {
+                    return localStorage.getItem(SESSION_STORAGE_KEY);
+                } catch (e) {
+                    return null; // storage disabled (private mode, blocked cookies)
+                }
+            }
+
+            function saveSessionId(id) {
+                try {
+                    if (id) localStorage.setItem(SESSION_STORAGE_KEY, id);
+                    else localStorage.removeItem(SESSION_STORAGE_KEY);
+                } catch (e) { /* storage disabled */ }
+            }
+
             // Conversation state and pending request controller
             const convo = {
-                history: [], // {role: 'user'|'assistant', content: '...'}
+                history: [], // {role: 'user'|'assistant', content: '...'} (display copy of the server session)
+                sessionId: loadSessionId(),
                 booted: false,
+                restoreScroll: null, // saved scroll position, applied when the terminal is first shown
+                starting: false,
                 pendingRequest: null
             };
 
-            // Gather rich profile context from all visible page sections
+            // Profile context for the terminal: the resume's text rendering once /api/resume has loaded,
+            // otherwise the text of the visible page sections
             function gatherProfileContext() {
+                if (resumeState.text) return resumeState.text;
                 try {
                     // About section
                     const aboutElem = document.querySelector('#about');
@@ -472,6 +510,7 @@ function initStatCounters() {
             function appendMessage(role, text) {
                 const li = document.createElement('li');
                 li.className = `message ${role}`;
+                li.dataset.at = new Date().toISOString();
 
                 const avatar = document.createElement('div');
                 avatar.className = 'avatar';
@@ -489,6 +528,25 @@ function initStatCounters() {
                 return li;
             }
 
+            // Render source text into a bubble; the text is kept on it so the saved transcript never needs the HTML
+            function setBubbleText(bubble, text) {
+                bubble.dataset.fullText = text;
+                bubble.innerHTML = formatMessage(text);
+            }
+
+            // Append a message from its source text (user input is shown as typed, everything else formatted)
+            function appendText(role, text) {
+                const li = appendMessage(role, '');
+                const bubble = li.querySelector('.bubble');
+                if (role === 'user') {
+                    bubble.dataset.fullText = text;
+                    bubble.innerHTML = sanitize(text);
+                } else {
+                    setBubbleText(bubble, text);
+                }
+                return li;
+            }
+
             // Default boot message (typed token-by-token for nicer UI)
             const bootMessage = `I’m IRIS, your portfolio guide. I can help you explore Athar Sayed’s background, projects, experience, and technical focus in a more conversational way.`;
 
@@ -534,7 +592,7 @@ function initStatCounters() {
                         done = true;
                         clearAll();
                         bubble.classList.remove('typing');
-                        bubble.innerHTML = sanitize(text);
+                        bubble.innerHTML = formatMessage(text);
                         chatMessages.scrollTop = chatMessages.scrollHeight;
                         delete bubble._typingController;
                         if (resolveRef) resolveRef();
@@ -557,7 +615,7 @@ function initStatCounters() {
                         if (i >= tokens.length) {
                             done = true;
                             bubble.classList.remove('typing');
-                            bubble.innerHTML = sanitize(text);
+                            bubble.innerHTML = formatMessage(text);
                             chatMessages.scrollTop = chatMessages.scrollHeight;
                             delete bubble._typingController;
                             resolveRef();
@@ -585,11 +643,18 @@ function initStatCounters() {
             async function displayBootMessage() {
                 terminalInput.disabled = true;
                 const bubble = appendTypingMessage('system');
+                // Not persisted: a fresh or cleared terminal types it again
+                bubble.parentElement.dataset.ephemeral = 'true';
                 await typeTextToBubble(bubble, bootMessage, { tokenDelay: 50, punctuationPause: 350 });
+                renderSuggestions(bubble.parentElement, STARTER_SUGGESTIONS);
+                enableInput();
+                convo.booted = true;
+            }
+
+            function enableInput() {
                 terminalInput.disabled = false;
                 terminalInput.focus();
                 if (sendBtn) sendBtn.disabled = false;
-                convo.booted = true;
             }
 
             // Basic sanitizer to avoid injecting raw HTML
@@ -598,6 +663,9 @@ function initStatCounters() {
                 return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\n/g, '<br>');
             }
 
+            // Bubble HTML for model and command text (js/message-format.js)
+            const { formatMessage } = window.MessageFormat;
+
             // Typing animation helpers (UI layer only)
             // - Non-blocking, per-bubble controllers using requestAnimationFrame
             // - Skips are supported via bubble._typingController or by calling skipAllTyping()
@@ -612,7 +680,7 @@ function initStatCounters() {
 
                 // Very short responses should render instantly for UX
                 if (typeof fullText !== 'string' || fullText.length <= cfg.minLengthForAnimation) {
-                    bubble.innerHTML = sanitize(fullText);
+                    bubble.innerHTML = formatMessage(fullText);
                     bubble.classList.remove('typing');
                     return Promise.resolve();
                 }
@@ -628,10 +696,11 @@ function initStatCounters() {
                 let lastTime = performance.now();
                 let rafId = null;
                 let resolved = false;
+                let resolveAnimation = null;
 
                 function finish() {
                     if (rafId) cancelAnimationFrame(rafId);
-                    bubble.innerHTML = sanitize(fullText);
+                    bubble.innerHTML = formatMessage(fullText);
                     bubble.classList.remove('typing');
                     bubble.style.whiteSpace = '';
                     // cleanup controller
@@ -639,6 +708,7 @@ function initStatCounters() {
                         delete bubble._typingController;
                     }
                     resolved = true;
+                    if (resolveAnimation) resolveAnimation();
                 }
 
                 function step(now) {
@@ -669,12 +739,99 @@ function initStatCounters() {
                     cancel: () => { if (!resolved) finish(); }
                 };
 
+                // Resolves when the reveal finishes, whether it ran to the end or was skipped
                 return new Promise((resolve) => {
-                    // ensure clicking the bubble will finish it
-                    rafId = requestAnimationFrame(function t(now) { step(now); if (resolved) resolve(); });
+                    resolveAnimation = resolve;
+                    rafId = requestAnimationFrame(step);
                 });
             }
 
+            // Incremental renderer for streamed replies. Tokens are buffered and revealed at the
+            // typing speed; skipping (click / skipAllTyping) reveals everything received so far
+            // and renders the rest of the stream as it arrives.
+            function createStreamRenderer(bubble, options = {}) {
+                const cfg = Object.assign({}, TYPING_CONFIG, options || {});
+                let received = '';
+                let shown = 0;
+                let instant = false;
+                let ended = false;
+                let stopped = false;
+                let rafId = null;
+                let lastTime = performance.now();
+                let resolveDone;
+                const done = new Promise((resolve) => { resolveDone = resolve; });
+
+                bubble.style.whiteSpace = 'pre-wrap';
+                bubble.innerHTML = '';
+                bubble.classList.add('typing', 'streaming');
+                const textNode = document.createTextNode('');
+                bubble.appendChild(textNode);
+
+                function complete() {
+                    bubble.innerHTML = formatMessage(received);
+                    bubble.classList.remove('typing', 'streaming');
+                    bubble.style.whiteSpace = '';
+                    if (bubble._typingController && bubble._typingController.kind === 'stream') {
+                        delete bubble._typingController;
+                    }
+                    chatMessages.scrollTop = chatMessages.scrollHeight;
+                    resolveDone();
+                }
+
+                function step(now) {
+                    rafId = null;
+                    if (stopped) return;
+                    if (instant) {
+                        shown = received.length;
+                    } else {
+                        const charsToAdd = Math.max(1, Math.floor((now - lastTime) * (cfg.charsPerSecond / 1000)));
+                        shown = Math.min(received.length, shown + charsToAdd);
+                    }
+                    lastTime = now;
+                    textNode.nodeValue = received.slice(0, shown);
+                    chatMessages.scrollTop = chatMessages.scrollHeight;
+                    if (shown < received.length) {
+                        rafId = requestAnimationFrame(step);
+                    } else if (ended) {
+                        complete();
+                    }
+                }
+
+                function schedule() {
+                    if (rafId) return;
+                    lastTime = performance.now();
+                    rafId = requestAnimationFrame(step);
+                }
+
+                bubble._typingController = {
+                    kind: 'stream',
+                    cancel: () => { instant = true; schedule(); }
+                };
+
+                return {
+                    push(token) {
+                        received += token;
+                        schedule();
+                    },
+                    // The final text replaces the streamed tokens (the server sends a sanitized copy)
+                    end(finalText) {
+                        if (typeof finalText === 'string' && finalText) received = finalText;
+                        ended = true;
+                        schedule();
+                        return done;
+                    },
+                    // Freeze on whatever has arrived (used when the request is cancelled)
+                    stop() {
+                        if (stopped) return;
+                        stopped = true;
+                        if (rafId) cancelAnimationFrame(rafId);
+                        rafId = null;
+                        complete();
+                    },
+                    get text() { return received; }
+                };
+            }
+
             // Support skipping for legacy word-based typing (used by boot message)
             function skipBubbleTyping(bubble) {
                 if (!bubble) return;
@@ -683,6 +840,11 @@ function initStatCounters() {
                     bubble._typingController.cancel();
                     return;
                 }
+                // If a streaming controller exists, flush what has arrived and render the rest instantly
+                if (bubble._typingController && bubble._typingController.kind === 'stream') {
+                    bubble._typingController.cancel();
+                    return;
+                }
                 // If a legacy word-based controller (created by typeTextToBubble) exists
                 if (bubble._typingController && bubble._typingController.kind === 'word') {
                     const c = bubble._typingController;
@@ -711,127 +873,309 @@ function initStatCounters() {
                 return path; // same-origin (useful when deployed to Vercel)
             }
 
-            function extractModelText(payload) {
-            // small helper to detect JSON-string
-            function looksLikeJsonString(s) {
-                return typeof s === 'string' && s.trim().length > 0 && /^[\[\{]\s*["'A-Za-z0-9]/.test(s.trim());
-            }
+            // Structured resume from /api/resume, checked against the shared contract
+            // (js/resume-contract.js). Until it loads, or if it doesn't, everything reads the page.
+            const resumeState = { resume: null, text: '' };
 
-            // Try to parse if payload itself is a JSON string
-            if (typeof payload === 'string' && looksLikeJsonString(payload)) {
+            async function loadResumeData() {
                 try {
-                const parsed = JSON.parse(payload);
-                const inner = extractModelText(parsed);
-                if (inner) return inner;
+                    const res = await fetch(apiEndpoint('/api/resume'));
+                    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                    const data = await res.json();
+                    const problems = window.ResumeContract.validateResumeResponse(data);
+                    if (problems.length) {
+                        console.warn('⚠️ Resume response does not match the contract:', problems.slice(0, 5).join('; '));
+                        return;
+                    }
+                    resumeState.resume = data.resume;
+                    resumeState.text = window.ResumeContract.resumeToText(data.resume);
+                    console.log('✅ Resume loaded for AI. Length:', resumeState.text.length);
+                    useGeneratedDownloads();
                 } catch (e) {
-                // not parseable JSON — continue to return the raw string later if nothing else
+                    console.warn('⚠️ Resume not loaded:', e);
                 }
             }
 
-            // If payload is null/undefined
-            if (payload === null || payload === undefined) return null;
+            loadResumeData();
 
-            // If payload is a plain string (non-JSON), return it (trimmed)
-            if (typeof payload === 'string') {
-                const t = payload.trim();
-                return t.length ? t : null;
-            }
+            // Generated resume files (GET /api/resume/download). Links marked data-resume-download
+            // point at the checked-in PDF, which static hosts without the API can still serve, and
+            // switch to the generated file once /api/resume has answered.
+            const RESUME_DOWNLOADS = { pdf: 'PDF', txt: 'Plain text (ATS)', html: 'Word-compatible HTML' };
+            const STATIC_RESUME_PDF = 'Athar-Sayed-Resume.pdf';
 
-            // If payload.reply exists and is a string that itself contains JSON, parse it
-            if (typeof payload.reply === 'string') {
-                const candidate = payload.reply.trim();
-                if (looksLikeJsonString(candidate)) {
-                try {
-                    const parsed = JSON.parse(candidate);
-                    const inner = extractModelText(parsed);
-                    if (inner) return inner;
-                } catch (e) {
-                    // If we can't parse, continue below and only return the raw string as last resort
-                }
-                } else if (candidate.length) {
-                return candidate; // plain text reply (good)
-                }
+            function resumeDownloadUrl(format) {
+                return new URL(apiEndpoint(`/api/resume/download?format=${format}`), window.location.href).href;
             }
 
-            // If payload.text is plain text
-            if (typeof payload.text === 'string' && payload.text.trim()) {
-                return payload.text.trim();
+            function useGeneratedDownloads() {
+                document.querySelectorAll('a[data-resume-download]').forEach(link => {
+                    const format = link.dataset.resumeDownload;
+                    if (RESUME_DOWNLOADS[format]) link.href = resumeDownloadUrl(format);
+                });
             }
 
-            // Common shape: payload.content.parts[*].text
-            try {
-                if (payload.content && Array.isArray(payload.content.parts) && payload.content.parts.length) {
-                const txt = payload.content.parts.map(p => (typeof p === 'string' ? p : (p?.text || p?.content || ''))).join('\n\n').trim();
-                if (txt) return txt;
+            // Unwraps JSON-shaped model replies (see js/model-text.js, shared with the server)
+            const { extractModelText } = window.ModelText;
+
+            // Streaming needs fetch body readers; older browsers use the JSON path
+            const STREAMING_SUPPORTED = typeof ReadableStream !== 'undefined' && typeof TextDecoder !== 'undefined';
+
+            // Parse the Server-Sent Events body of a streamed /api/chat response
+            async function readEventStream(res, onEvent) {
+                const reader = res.body.getReader();
+                const decoder = new TextDecoder();
+                let buffer = '';
+                while (true) {
+                    const { value, done } = await reader.read();
+                    if (done) break;
+                    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+                    let idx;
+                    while ((idx = buffer.indexOf('\n\n')) !== -1) {
+                        const raw = buffer.slice(0, idx);
+                        buffer = buffer.slice(idx + 2);
+                        let event = 'message';
+                        const data = [];
+                        raw.split('\n').forEach(line => {
+                            if (line.startsWith('event:')) event = line.slice(6).trim();
+                            else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+                        });
+                        if (!data.length) continue;
+                        try {
+                            onEvent(event, JSON.parse(data.join('\n')));
+                        } catch (e) {
+                            console.warn('Bad stream event:', e);
+                        }
+                    }
                 }
-            } catch (e) { /* ignore */ }
+            }
 
-            // OpenAI-like: choices -> message -> content -> parts
-            try {
-                if (Array.isArray(payload.choices) && payload.choices.length) {
-                for (const c of payload.choices) {
-                    // choices[].message.content.parts
-                    const parts = c?.message?.content?.parts || c?.message?.content || c?.message;
-                    if (Array.isArray(parts) && parts.length) {
-                    const txt = parts.map(p => (typeof p === 'string' ? p : (p?.text || ''))).join('\n\n').trim();
-                    if (txt) return txt;
+            // Render a streamed reply into the bubble as tokens arrive; resolves with { reply, citations, sessionId, suggestions }
+            async function renderStreamedReply(res, bubble, request) {
+                let renderer = null;
+                let finalReply = '';
+                let citations = [];
+                let sessionId = null;
+                let suggestions = [];
+                let streamError = '';
+
+                await readEventStream(res, (event, data) => {
+                    if (event === 'token' && data.token) {
+                        if (!renderer) renderer = request.renderer = createStreamRenderer(bubble, { charsPerSecond: 160 });
+                        renderer.push(data.token);
+                    } else if (event === 'done') {
+                        finalReply = extractModelText(data.reply) || '';
+                        citations = Array.isArray(data.citations) ? data.citations : [];
+                        sessionId = data.sessionId || null;
+                        suggestions = Array.isArray(data.suggestions) ? data.suggestions : [];
+                    } else if (event === 'error') {
+                        streamError = data.error || 'Stream interrupted';
+                        finalReply = data.partial || '';
                     }
-                    // choices[].text
-                    if (typeof c.text === 'string' && c.text.trim()) return c.text.trim();
-                    // choices[].message?.content as string
-                    if (typeof c?.message?.content === 'string' && c.message.content.trim()) return c.message.content.trim();
+                });
+
+                if (!renderer) renderer = request.renderer = createStreamRenderer(bubble, { charsPerSecond: 160 });
+                const reply = finalReply || renderer.text || 'No response';
+                await renderer.end(streamError ? `${reply}\n\n[${streamError}]` : reply);
+                return { reply, citations, sessionId, suggestions };
+            }
+
+            // Cards a citation can point at, per section
+            const CITABLE_CARDS = '.project-card, .timeline-item, .certification-card, .publication-card, .skill-category, .edu-card, .achievement-card';
+
+            function normalizeTitle(text) {
+                return String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+            }
+
+            // Find the card whose heading matches the cited card title
+            function findCitedCard(section, cardTitle) {
+                if (!section || !cardTitle) return null;
+                const wanted = normalizeTitle(cardTitle);
+                return Array.from(section.querySelectorAll(CITABLE_CARDS)).find(card => {
+                    const heading = card.querySelector('h3, h4, .pub-title, .role-title');
+                    return heading && normalizeTitle(heading.textContent) === wanted;
+                }) || null;
+            }
+
+            function highlightElement(el) {
+                el.classList.remove('cite-highlight');
+                void el.offsetWidth; // restart the animation when the same card is cited twice
+                el.classList.add('cite-highlight');
+                setTimeout(() => el.classList.remove('cite-highlight'), 2400);
+            }
+
+            // Scroll to (and highlight) what a citation points at; resume-only entries open the PDF page
+            function openCitation(citation) {
+                const section = citation.section ? safeQuery(citation.section) : null;
+                const card = findCitedCard(section, citation.card);
+                if (card || (section && !citation.page)) {
+                    smoothScrollTo(card || section, citation.section);
+                    highlightElement(card || section);
+                    return;
                 }
+                if (citation.page) {
+                    window.open(`${STATIC_RESUME_PDF}#page=${citation.page}`, '_blank', 'noopener');
                 }
-            } catch (e) { /* ignore */ }
+            }
 
-            // Some APIs nest under `result`, `data`, `response`
-            const altKeys = ['result', 'data', 'response', 'output'];
-            for (const k of altKeys) {
-                if (payload[k]) {
-                const sub = extractModelText(payload[k]);
-                if (sub) return sub;
-                }
+            // Render citations returned by /api/chat as clickable chips under the bubble
+            function renderCitations(messageEl, citations) {
+                if (!messageEl || !Array.isArray(citations) || !citations.length) return;
+                const list = document.createElement('div');
+                list.className = 'citation-chips';
+                list.setAttribute('aria-label', 'Sources for this answer');
+
+                citations.forEach(citation => {
+                    const chip = document.createElement('button');
+                    chip.type = 'button';
+                    chip.className = 'citation-chip';
+                    const onPage = citation.card || !citation.page;
+                    chip.textContent = citation.label || citation.card || citation.section;
+                    chip.title = onPage
+                        ? `Show on page (${citation.section})`
+                        : `Open resume page ${citation.page}`;
+                    if (!onPage) chip.classList.add('resume-page');
+                    chip.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        openCitation(citation);
+                    });
+                    list.appendChild(chip);
+                });
+
+                messageEl.dataset.citations = JSON.stringify(citations);
+                messageEl.querySelector('.bubble').appendChild(list);
+                chatMessages.scrollTop = chatMessages.scrollHeight;
             }
 
-            // Fallback: try to find first reasonably-sized string anywhere (defensive)
-            try {
-                const seen = new Set();
-                function findFirstString(obj) {
-                if (!obj || typeof obj === 'number' || typeof obj === 'boolean') return null;
-                if (typeof obj === 'string') {
-                    const s = obj.trim();
-                    return s.length ? s : null;
-                }
-                if (seen.has(obj)) return null;
-                seen.add(obj);
-                if (Array.isArray(obj)) {
-                    for (const it of obj) {
-                    const s = findFirstString(it);
-                    if (s) return s;
-                    }
-                } else if (typeof obj === 'object') {
-                    for (const key of Object.keys(obj)) {
-                    const s = findFirstString(obj[key]);
-                    if (s) return s;
+            // Questions offered once the boot message has finished typing
+            const STARTER_SUGGESTIONS = [
+                'What projects has he built?',
+                'Where has he worked?',
+                'What is his tech stack?'
+            ];
+
+            // Follow-up chips under a reply. Only the latest set is kept; clicking one asks it.
+            function renderSuggestions(messageEl, suggestions) {
+                clearSuggestions();
+                if (!messageEl || !Array.isArray(suggestions) || !suggestions.length) return;
+                const list = document.createElement('div');
+                list.className = 'suggestion-chips';
+                list.setAttribute('aria-label', 'Suggested questions');
+
+                suggestions.slice(0, 3).forEach(question => {
+                    const chip = document.createElement('button');
+                    chip.type = 'button';
+                    chip.className = 'suggestion-chip';
+                    chip.textContent = question;
+                    chip.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        if (terminalInput.disabled) return;
+                        setInput(question);
+                        submitInput();
+                    });
+                    list.appendChild(chip);
+                });
+
+                messageEl.querySelector('.bubble').appendChild(list);
+                chatMessages.scrollTop = chatMessages.scrollHeight;
+            }
+
+            function clearSuggestions() {
+                chatMessages.querySelectorAll('.suggestion-chips').forEach(el => el.remove());
+            }
+
+            // Mark a cancelled request in its bubble and drop the unanswered turn from the history
+            function markCancelled(request) {
+                // `clear` already removed the bubble and the history it belonged to
+                if (request.cleared) return;
+                const idx = convo.history.indexOf(request.userTurn);
+                if (idx !== -1) convo.history.splice(idx, 1);
+
+                const bubble = request.bubble;
+                if (request.renderer) request.renderer.stop();
+                const partial = request.renderer ? request.renderer.text.trim() : '';
+                bubble.classList.remove('typing', 'streaming');
+                bubble.classList.add('cancelled');
+                bubble.innerHTML = partial ? sanitize(partial) + '<br>' : '';
+
+                const note = document.createElement('span');
+                note.className = 'cancel-note';
+                note.textContent = request.superseded ? 'Cancelled — replaced by your new question' : 'Cancelled';
+                bubble.appendChild(note);
+            }
+
+            // Show a 429 in the bubble with a live countdown until the limit resets
+            function showRetryCountdown(bubble, seconds, scope) {
+                const reason = scope === 'global'
+                    ? 'The assistant is getting too many questions right now.'
+                    : 'You are sending questions too quickly.';
+                let remaining = Math.max(1, Math.ceil(seconds));
+                bubble.classList.add('rate-limited');
+                const render = () => {
+                    bubble.textContent = remaining > 0
+                        ? `${reason} Try again in ${remaining}s.`
+                        : `${reason} You can ask again now.`;
+                };
+                render();
+                const timer = setInterval(() => {
+                    remaining -= 1;
+                    render();
+                    if (remaining <= 0) clearInterval(timer);
+                }, 1000);
+            }
+
+            function rememberSession(id) {
+                if (!id || id === convo.sessionId) return;
+                convo.sessionId = id;
+                saveSessionId(id);
+            }
+
+            // Rebuild the conversation from the server session after a reload; resolves false when there is nothing to restore
+            async function restoreSession() {
+                if (!convo.sessionId) return false;
+                try {
+                    const res = await fetch(apiEndpoint(`/api/chat/sessions/${encodeURIComponent(convo.sessionId)}`));
+                    if (!res.ok) {
+                        // Expired or unknown: the next question starts a new session
+                        if (res.status === 404) {
+                            convo.sessionId = null;
+                            saveSessionId(null);
+                        }
+                        return false;
                     }
+                    const session = await res.json();
+                    const turns = Array.isArray(session.turns) ? session.turns : [];
+                    if (!turns.length) return false;
+
+                    turns.forEach(turn => {
+                        const role = turn.role === 'user' ? 'user' : 'assistant';
+                        const el = appendText(role, turn.content);
+                        if (role === 'assistant') renderCitations(el, turn.citations);
+                        convo.history.push({ role, content: turn.content });
+                    });
+                    return true;
+                } catch (e) {
+                    console.warn('Session restore failed:', e);
+                    return false;
                 }
-                return null;
-                }
-                const found = findFirstString(payload);
-                if (found) return found;
-            } catch (e) { /* ignore */ }
-
-            // Nothing useful found
-            return null;
             }
 
             async function askMistral(userMessage) {
-            convo.history.push({ role: 'user', content: userMessage });
+            // A new question supersedes any request still in flight
+            if (convo.pendingRequest) {
+                convo.pendingRequest.superseded = true;
+                convo.pendingRequest.controller.abort();
+            }
+
+            const userTurn = { role: 'user', content: userMessage };
+            convo.history.push(userTurn);
 
+            // Context and history live server-side; only the question and the session id go up
             const payload = {
                 prompt: userMessage,
-                context: gatherProfileContext(),
-                history: convo.history
+                sessionId: convo.sessionId,
+                stream: STREAMING_SUPPORTED,
+                suggestions: true
             };
 
             // Add a temporary placeholder message while waiting for reply
@@ -839,23 +1183,66 @@ function initStatCounters() {
             const bubble = placeholder.querySelector('.bubble');
             bubble.classList.add('typing');
 
+            const request = { controller: new AbortController(), bubble, userTurn, renderer: null, superseded: false, cleared: false };
+            convo.pendingRequest = request;
+
             try {
                 const res = await fetch(apiEndpoint('/api/chat'), {
                     method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
+                    signal: request.controller.signal,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Accept': STREAMING_SUPPORTED ? 'text/event-stream, application/json' : 'application/json'
+                    },
                     body: JSON.stringify(payload)
                 });
 
                 if (!res.ok) {
-                    const errText = await res.text();
+                    const data = await res.json().catch(() => null);
+                    if (request.controller.signal.aborted) {
+                        markCancelled(request);
+                        return;
+                    }
                     bubble.classList.remove('typing');
-                    bubble.innerHTML = sanitize('Error: ' + errText);
+                    if (res.status === 429) {
+                        // Unanswered: drop the turn so the retry doesn't repeat it
+                        const idx = convo.history.indexOf(userTurn);
+                        if (idx !== -1) convo.history.splice(idx, 1);
+                        showRetryCountdown(bubble, Number(res.headers.get('Retry-After')) || data?.retryAfter || 10, data?.scope);
+                        return;
+                    }
+                    // Server-side failures get an answer from the page; client errors show the message only
+                    setBubbleText(bubble, res.status >= 500
+                        ? offlineAnswer(userMessage)
+                        : 'Error: ' + (data?.error || `Request failed (${res.status})`));
+                    return;
+                }
+
+                // Streamed reply: render tokens as they arrive
+                const contentType = res.headers.get('Content-Type') || '';
+                if (STREAMING_SUPPORTED && res.body && contentType.includes('text/event-stream')) {
+                    const streamed = await renderStreamedReply(res, bubble, request);
+                    if (request.controller.signal.aborted) {
+                        markCancelled(request);
+                        return;
+                    }
+                    rememberSession(streamed.sessionId);
+                    convo.history.push({ role: 'assistant', content: streamed.reply });
+                    bubble.dataset.fullText = streamed.reply;
+                    renderCitations(placeholder, streamed.citations);
+                    renderSuggestions(placeholder, streamed.suggestions);
                     return;
                 }
 
+                // JSON fallback (server without streaming)
                 const data = await res.json();
-                const reply = data?.reply || 'No response';
+                if (request.controller.signal.aborted) {
+                    markCancelled(request);
+                    return;
+                }
+                const reply = extractModelText(data?.reply) || 'No response';
 
+                rememberSession(data?.sessionId);
                 convo.history.push({ role: 'assistant', content: reply });
                 bubble.classList.remove('typing');
                 // Store full text (immutable) and reveal via UI-layer typing animation
@@ -864,71 +1251,830 @@ function initStatCounters() {
                 startTypingAnimation(bubble, reply, { charsPerSecond: 160, minLengthForAnimation: 48 }).catch(() => {
                     // Fallback to full render on any error
                     bubble.classList.remove('typing');
-                    bubble.innerHTML = sanitize(reply);
+                    bubble.innerHTML = formatMessage(reply);
+                }).then(() => {
+                    renderCitations(placeholder, data?.citations);
+                    renderSuggestions(placeholder, data?.suggestions);
                 });
             } catch (e) {
+                if (e.name === 'AbortError' || request.controller.signal.aborted) {
+                    markCancelled(request);
+                    return;
+                }
+                console.warn('Chat request failed:', e);
                 bubble.classList.remove('typing');
-                bubble.innerHTML = sanitize('Network error: ' + String(e));
+                setBubbleText(bubble, offlineAnswer(userMessage));
+            } finally {
+                if (convo.pendingRequest === request) convo.pendingRequest = null;
+            }
             }
+
+            // Export: the persisted transcript (timestamps and citations included) as Markdown, text or JSON
+            const EXPORT_FORMATS = {
+                md: { extension: 'md', type: 'text/markdown' },
+                txt: { extension: 'txt', type: 'text/plain' },
+                json: { extension: 'json', type: 'application/json' }
+            };
+            const EXPORT_ALIASES = { markdown: 'md', text: 'txt' };
+
+            // The EXPORT_FORMATS key for a typed format name (aliases included), or null
+            function exportFormat(name) {
+                const format = String(name).toLowerCase();
+                const key = EXPORT_ALIASES[format] || format;
+                return Object.hasOwn(EXPORT_FORMATS, key) ? key : null;
+            }
+
+            const SPEAKERS = { user: 'You', assistant: 'IRIS', system: 'System' };
+
+            function citationLink(citation) {
+                if (citation.card || !citation.page) return `${location.origin}${location.pathname}${citation.section || ''}`;
+                return new URL(`${STATIC_RESUME_PDF}#page=${citation.page}`, location.href).href;
+            }
+
+            function formatTimestamp(iso) {
+                const date = new Date(iso);
+                return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+            }
+
+            function buildExport(format, messages) {
+                const exportedAt = new Date().toISOString();
+                if (format === 'json') {
+                    return JSON.stringify({
+                        title: 'IRIS conversation — Athar Sayed portfolio',
+                        source: location.href,
+                        exportedAt,
+                        messages: messages.map(m => ({
+                            role: m.role,
+                            text: m.text,
+                            at: m.at || null,
+                            citations: (m.citations || []).map(c => ({ label: c.label, section: c.section, page: c.page || null, url: citationLink(c) }))
+                        }))
+                    }, null, 2);
+                }
+
+                const markdown = format === 'md';
+                const lines = markdown
+                    ? ['# IRIS conversation — Athar Sayed portfolio', '', `Exported ${formatTimestamp(exportedAt)} from ${location.href}`, '']
+                    : ['IRIS conversation — Athar Sayed portfolio', `Exported ${formatTimestamp(exportedAt)} from ${location.href}`, ''];
+                messages.forEach(m => {
+                    const speaker = SPEAKERS[m.role] || 'System';
+                    const when = formatTimestamp(m.at);
+                    lines.push(markdown ? `**${speaker}**${when ? ` · ${when}` : ''}` : `[${when}] ${speaker}:`);
+                    lines.push(String(m.text || '').trim(), '');
+                    if (m.citations && m.citations.length) {
+                        const sources = m.citations.map(c => markdown
+                            ? `[${c.label || c.section}](${citationLink(c)})`
+                            : `${c.label || c.section} (${citationLink(c)})`);
+                        lines.push(`Sources: ${sources.join(', ')}`, '');
+                    }
+                });
+                return lines.join('\n');
+            }
+
+            // Download the conversation; resolves to the number of messages exported (0 when empty)
+            function exportConversation(format = 'md') {
+                const messages = serializeTranscript();
+                if (!messages.length) return 0;
+                const { extension, type } = EXPORT_FORMATS[format];
+                const blob = new Blob([buildExport(format, messages)], { type: `${type};charset=utf-8` });
+                const url = URL.createObjectURL(blob);
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = `iris-conversation-${new Date().toISOString().slice(0, 10)}.${extension}`;
+                document.body.appendChild(link);
+                link.click();
+                link.remove();
+                setTimeout(() => URL.revokeObjectURL(url), 1000);
+                return messages.length;
+            }
+
+            const NOTHING_YET = 'Nothing to export yet — ask a question first.';
+
+            async function copyToClipboard(text) {
+                if (navigator.clipboard && window.isSecureContext) {
+                    await navigator.clipboard.writeText(text);
+                    return;
+                }
+                // Older browsers / plain http: hidden textarea + execCommand
+                const area = document.createElement('textarea');
+                area.value = text;
+                area.setAttribute('readonly', '');
+                area.style.position = 'fixed';
+                area.style.opacity = '0';
+                document.body.appendChild(area);
+                area.select();
+                const ok = document.execCommand('copy');
+                area.remove();
+                if (!ok) throw new Error('Copy command was rejected');
+            }
+
+            // Answer from the page's own content (via the local commands) when the chat API is down
+            function offlineAnswer(question) {
+                const q = question.toLowerCase();
+                const topic = /project|built|build|portfolio/.test(q) ? 'projects'
+                    : /skill|stack|tech|language|tool/.test(q) ? 'skills'
+                    : /contact|email|reach|hire/.test(q) ? 'contact'
+                    : 'about';
+                return 'The assistant is unreachable right now, so here is what the page says:\n\n' + commandOutput(topic);
+            }
+
+            // Terminal command registry. A command is { name, aliases, usage, description, run(parsed) -> text
+            // (rendered with formatMessage), complete() -> candidates, accepts(parsed) }. Typed without a leading
+            // `/`, input with arguments only runs the command when accepts() agrees; otherwise it is a question
+            // for the model.
+            const commands = new Map();
+            const commandAliases = new Map();
+
+            function registerCommand(command) {
+                commands.set(command.name, command);
+                [command.name, ...(command.aliases || [])].forEach(alias => commandAliases.set(alias, command.name));
+            }
+
+            function findCommand(name) {
+                const key = commandAliases.get(String(name || '').toLowerCase());
+                return key ? commands.get(key) : null;
+            }
+
+            // `/project "der kurator" --all` -> { prefixed, name, args, flags, argText }
+            function parseCommandLine(input) {
+                const text = input.trim();
+                const prefixed = text.startsWith('/');
+                const tokens = (prefixed ? text.slice(1) : text).match(/"[^"]*"|'[^']*'|\S+/g) || [];
+                const name = (tokens.shift() || '').toLowerCase();
+                const args = [];
+                const flags = {};
+                for (let i = 0; i < tokens.length; i++) {
+                    const token = tokens[i].replace(/^(["'])(.*)\1$/, '$2');
+                    const flag = token.match(/^--([\w-]+)(?:=(.*))?$/);
+                    if (!flag) {
+                        args.push(token);
+                    } else if (flag[2] !== undefined) {
+                        flags[flag[1]] = flag[2];
+                    } else if (tokens[i + 1] && !tokens[i + 1].startsWith('--')) {
+                        flags[flag[1]] = tokens[++i].replace(/^(["'])(.*)\1$/, '$2');
+                    } else {
+                        flags[flag[1]] = true;
+                    }
+                }
+                return { prefixed, name, args, flags, argText: args.join(' ') };
+            }
+
+            function editDistance(a, b) {
+                const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+                for (let i = 1; i <= a.length; i++) {
+                    let prev = row[0];
+                    row[0] = i;
+                    for (let j = 1; j <= b.length; j++) {
+                        const current = row[j];
+                        row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+                        prev = current;
+                    }
+                }
+                return row[b.length];
+            }
+
+            // Best fuzzy match of `query` among items: exact, then substring, then a word starting
+            // with it, then the closest spelling (within a third of the query length)
+            function fuzzyFind(query, items, label = item => item) {
+                const q = normalizeTitle(query);
+                if (!q) return null;
+                const scored = items.map(item => {
+                    const text = String(label(item));
+                    const key = normalizeTitle(text);
+                    const words = text.toLowerCase().split(/[^a-z0-9+#]+/).filter(Boolean);
+                    let score = Infinity;
+                    if (key === q) score = 0;
+                    else if (key.includes(q)) score = 1;
+                    else if (words.some(w => w.startsWith(q))) score = 2;
+                    else {
+                        const distance = Math.min(editDistance(q, key), ...words.map(w => editDistance(q, w)));
+                        if (distance <= Math.max(1, Math.floor(q.length / 3))) score = 3 + distance;
+                    }
+                    return { item, score };
+                }).filter(s => s.score !== Infinity).sort((x, y) => x.score - y.score);
+                return scored.length ? scored[0].item : null;
+            }
+
+            function suggestCommand(name) {
+                const names = Array.from(commandAliases.keys());
+                const best = names
+                    .map(n => ({ n, d: editDistance(name, n) }))
+                    .sort((x, y) => x.d - y.d)[0];
+                return best && best.d <= (name.length > 5 ? 2 : 1) ? commandAliases.get(best.n) : null;
+            }
+
+            // Entries the commands read: the page's cards, plus resume entries that have no card
+            // (matched on the entry's card title, or its own name)
+            function withResumeEntries(pageItems, resumeItems, pageKey, resumeKey, toItem) {
+                const onPage = new Set(pageItems.map(item => normalizeTitle(pageKey(item))));
+                const extra = (resumeItems || [])
+                    .filter(entry => !onPage.has(normalizeTitle(entry.cardTitle)) && !onPage.has(normalizeTitle(resumeKey(entry))))
+                    .map(toItem);
+                return pageItems.concat(extra);
+            }
+
+            function pageProjects() {
+                const cards = Array.from(document.querySelectorAll('#projects .project-card')).map(card => ({
+                    name: card.querySelector('h3')?.innerText.trim() || '',
+                    tags: Array.from(card.querySelectorAll('.project-tag')).map(t => t.innerText.trim()),
+                    details: Array.from(card.querySelectorAll('.project-details li')).map(li => li.innerText.trim()),
+                    links: Array.from(card.querySelectorAll('.project-links a')).map(a => ({ label: a.innerText.trim(), href: a.href }))
+                })).filter(p => p.name);
+                return withResumeEntries(cards, resumeState.resume?.projects, p => p.name, p => p.name, p => ({
+                    name: p.name,
+                    tags: p.tags || [],
+                    details: p.details || [],
+                    links: (p.links || []).filter(l => l.url).map(l => ({ label: l.label, href: l.url }))
+                }));
+            }
+
+            function pageExperience() {
+                const items = Array.from(document.querySelectorAll('#experience .timeline-item')).map(item => ({
+                    role: item.querySelector('.role-title')?.innerText.trim() || '',
+                    company: item.querySelector('.company-name')?.innerText.trim() || '',
+                    dates: item.querySelector('.timeline-meta .date')?.innerText.trim() || '',
+                    details: Array.from(item.querySelectorAll(':scope > ul li')).map(li => li.innerText.trim())
+                })).filter(e => e.role || e.company);
+                return withResumeEntries(items, resumeState.resume?.experience, e => e.role, e => e.role, e => ({
+                    role: e.role,
+                    company: e.company,
+                    dates: e.dates || '',
+                    details: e.details || []
+                }));
+            }
+
+            // Skill tags per category; list items like "TensorFlow, PyTorch" hold several tags
+            function pageSkillCategories() {
+                return Array.from(document.querySelectorAll('#skills .skill-category')).map(category => ({
+                    name: category.querySelector('h3')?.innerText.trim() || '',
+                    items: Array.from(category.querySelectorAll('li'))
+                        .flatMap(li => li.innerText.split(','))
+                        .map(tag => tag.trim())
+                        .filter(Boolean)
+                })).filter(c => c.name);
             }
 
-            // Local commands fallback
-            const localCommands = {
-                help: () => {
+            function skillWords(text) {
+                return String(text || '').toLowerCase().split(/[^a-z0-9+#.]+/).filter(Boolean);
+            }
+
+            // Whether a skill tag (or category title) matches a keyword: whole words always, substrings
+            // from 4 characters ("postgres"), one typo from 5 ("pytoch"). Short keywords like "c" or "r"
+            // only match a whole word so they don't hit every tag.
+            function skillMatches(text, keyword) {
+                const q = String(keyword || '').toLowerCase().trim();
+                if (!q) return false;
+                const key = String(text || '').toLowerCase();
+                const words = skillWords(text);
+                if (key === q || words.includes(q)) return true;
+                if (q.length >= 4 && key.includes(q)) return true;
+                return q.length >= 5 && words.some(w => editDistance(q, w) <= 1);
+            }
+
+            // Categories filtered by keyword: a matching category title keeps all of its tags
+            function findSkills(keyword) {
+                return pageSkillCategories().map(c => ({
+                    name: c.name,
+                    items: skillMatches(c.name, keyword) ? c.items : c.items.filter(tag => skillMatches(tag, keyword))
+                })).filter(c => c.items.length);
+            }
+
+            function formatSkillGroups(categories) {
+                return categories.map(c => `**${c.name}**: ${c.items.join(', ')}`).join('\n');
+            }
+
+            // "Does he know Docker?" / "Is Athar familiar with Azure?" -> 'Docker' / 'Azure'. Only questions
+            // about him; "can you use ..." is for the assistant itself.
+            const SKILL_QUESTION = /^(?:does|can|has|is)\s+(?:he|athar(?:\s+sayed)?)\s+(?:know|use|understand|code in|work(?:ed)? with|(?:been )?familiar with|(?:have |has )?(?:any )?experience (?:with|in)|experienced (?:with|in))\s+(.+?)[\s?.!]*$/i;
+
+            // The one skill a question names; null for several ("Docker and Azure") or none
+            function skillQuestionTerm(input) {
+                const match = String(input || '').trim().match(SKILL_QUESTION);
+                if (!match || /,|&|\b(?:and|or)\b/i.test(match[1])) return null;
+                return match[1].trim();
+            }
+
+            // Tags that are exactly `term`, as the whole tag or one of its words ("RAG" in
+            // "Retrieval-Augmented Generation (RAG)"); no fuzzy matching, so "Java" is not "JavaScript"
+            function listedSkills(term) {
+                const q = term.toLowerCase();
+                return pageSkillCategories().map(c => ({
+                    name: c.name,
+                    items: c.items.filter(tag => tag.toLowerCase() === q || skillWords(tag).includes(q))
+                })).filter(c => c.items.length);
+            }
+
+            // Answer "does he know X?" from the page when X is a single tag in the skills list. Anything
+            // else (several skills, open questions, skills that aren't listed) returns null and goes to
+            // the model, which also sees the projects and roles.
+            function answerSkillQuestion(input) {
+                const term = skillQuestionTerm(input);
+                const hits = term ? listedSkills(term) : [];
+                if (!hits.length) return null;
+                return `Yes — ${hits.map(c => `${c.items.join(', ')} (${c.name})`).join('; ')}.`;
+            }
+
+            function bulletList(lines) {
+                return lines.map(line => `- ${line}`).join('\n');
+            }
+
+            function commandHelp(command) {
+                const aliases = (command.aliases || []).length ? `\nAliases: ${command.aliases.join(', ')}` : '';
+                return `Usage: \`${command.usage}\`\n${command.description}${aliases}`;
+            }
+
+            registerCommand({
+                name: 'help',
+                aliases: ['?', 'commands'],
+                usage: 'help [command]',
+                description: 'List the commands, or show how to use one.',
+                complete: () => Array.from(commands.keys()),
+                accepts: ({ args }) => args.length === 1 && Boolean(findCommand(args[0])),
+                run: ({ args }) => {
+                    if (args.length) {
+                        const command = findCommand(args[0]);
+                        if (command) return commandHelp(command);
+                        const guess = suggestCommand(args[0].toLowerCase());
+                        return `Unknown command "${args[0]}".${guess ? ` Did you mean **${guess}**?` : ''}`;
+                    }
                     return [
-                        'Available commands: help, projects, skills, contact, about, clear, stop',
+                        'Available commands (also as /command, Tab completes):',
+                        ...Array.from(commands.values()).map(c => `- \`${c.usage}\` — ${c.description}`),
                         'You can also type any question about the profile (e.g., "Tell me about Athar\'s projects").'
-                    ].join('<br>');
-                },
-                projects: () => {
-                    const nodes = Array.from(document.querySelectorAll('#projects .project-card'));
-                    if (!nodes.length) return 'No project details found on the page.';
-                    return nodes.map(n => n.querySelector('h3')?.innerText || '').join('<br>');
-                },
-                skills: () => {
-                    return gatherProfileContext().split('\n').find(l => l.startsWith('Skills')) || 'Skills info not found.';
-                },
-                contact: () => {
-                    return 'Email: <a href="mailto:sayedathar242@gmail.com">sayedathar242@gmail.com</a>';
-                },
-                about: () => {
-                    return document.querySelector('#about .about-text')?.innerText || 'About section not found.';
-                },
-                clear: () => {
+                    ].join('\n');
+                }
+            });
+
+            registerCommand({
+                name: 'projects',
+                usage: 'projects',
+                description: 'List the projects on this page.',
+                run: () => {
+                    const projects = pageProjects();
+                    if (!projects.length) return 'No project details found on the page.';
+                    return `${bulletList(projects.map(p => p.name))}\nType \`project <name>\` for details.`;
+                }
+            });
+
+            registerCommand({
+                name: 'project',
+                aliases: ['proj'],
+                usage: 'project <name>',
+                description: 'Show one project: tags, highlights and links.',
+                complete: () => pageProjects().map(p => p.name),
+                accepts: ({ argText }) => Boolean(fuzzyFind(argText, pageProjects(), p => p.name)),
+                run: ({ argText }) => {
+                    if (!argText) return `Usage: \`project <name>\`. Projects: ${pageProjects().map(p => p.name).join(', ')}`;
+                    const project = fuzzyFind(argText, pageProjects(), p => p.name);
+                    if (!project) return `No project matches "${argText}". Type **projects** to list them.`;
+                    const links = project.links.map(l => `[${l.label}](${l.href})`).join(' · ');
+                    return [
+                        `**${project.name}**${project.tags.length ? ` (${project.tags.join(', ')})` : ''}`,
+                        bulletList(project.details),
+                        links
+                    ].filter(Boolean).join('\n');
+                }
+            });
+
+            registerCommand({
+                name: 'experience',
+                aliases: ['exp', 'work'],
+                usage: 'experience [company]',
+                description: 'List roles, or show the highlights of one company.',
+                complete: () => Array.from(new Set(pageExperience().map(e => e.company))),
+                accepts: ({ argText }) => Boolean(fuzzyFind(argText, pageExperience(), e => `${e.company} ${e.role}`)),
+                run: ({ argText }) => {
+                    const roles = pageExperience();
+                    if (!roles.length) return 'No experience details found on the page.';
+                    if (!argText) {
+                        return `${bulletList(roles.map(e => `${e.role} @ ${e.company} (${e.dates})`))}\nType \`experience <company>\` for details.`;
+                    }
+                    const match = fuzzyFind(argText, roles, e => `${e.company} ${e.role}`);
+                    if (!match) return `No role matches "${argText}".`;
+                    return roles.filter(e => e.company === match.company).map(e => [
+                        `**${e.role} @ ${e.company}** (${e.dates})`,
+                        bulletList(e.details)
+                    ].join('\n')).join('\n\n');
+                }
+            });
+
+            registerCommand({
+                name: 'skills',
+                aliases: ['stack'],
+                usage: 'skills [keyword] [--category <name>]',
+                description: 'List skills by category, or filter them by keyword (e.g. skills python).',
+                complete: () => pageSkillCategories().map(c => c.name),
+                // Bare `skills python` is a lookup; longer phrases are questions for the model
+                accepts: ({ args, flags }) => (args.length > 0 && args.length <= 2 && findSkills(args.join(' ')).length > 0)
+                    || (!args.length && typeof flags.category === 'string'),
+                run: ({ argText, flags }) => {
+                    let categories = pageSkillCategories();
+                    if (!categories.length) return 'Skills info not found.';
+                    if (typeof flags.category === 'string') {
+                        const match = fuzzyFind(flags.category, categories, c => c.name);
+                        if (!match) return `No skill category matches "${flags.category}". Categories: ${categories.map(c => c.name).join(', ')}`;
+                        categories = [match];
+                    }
+                    if (argText) {
+                        const names = categories.map(c => c.name);
+                        categories = findSkills(argText).filter(hit => names.includes(hit.name));
+                        if (!categories.length) return `No skills match "${argText}". Type **skills** for the full list.`;
+                    }
+                    return formatSkillGroups(categories);
+                }
+            });
+
+            const RESUME_SECTIONS = ['experience', 'projects', 'education', 'skills', 'certifications', 'publications', 'achievements'];
+
+            registerCommand({
+                name: 'resume',
+                aliases: ['cv'],
+                usage: 'resume [section|download]',
+                description: `Print the resume as text, or one section of it (${RESUME_SECTIONS.join(', ')}); \`resume download\` links the PDF, text and Word versions.`,
+                complete: () => [...RESUME_SECTIONS, 'download'],
+                accepts: ({ args }) => args.length === 1 && RESUME_SECTIONS.includes(args[0].toLowerCase()),
+                run: ({ args }) => {
+                    const section = String(args[0] || '').toLowerCase();
+                    if (section === 'download') {
+                        if (!resumeState.resume) {
+                            return `The resume service is unavailable, so only the PDF copy can be downloaded: [PDF](${new URL(STATIC_RESUME_PDF, window.location.href).href})`;
+                        }
+                        return `Download the resume:\n${bulletList(Object.entries(RESUME_DOWNLOADS).map(([format, label]) =>
+                            `[${label}](${resumeDownloadUrl(format)})`))}`;
+                    }
+                    if (!resumeState.text) {
+                        return `The resume has not loaded, so this is the page's text instead.\n\n${gatherProfileContext()}`;
+                    }
+                    if (!section) return resumeState.text;
+                    if (!RESUME_SECTIONS.includes(section)) return `Unknown section "${args[0]}". Sections: ${RESUME_SECTIONS.join(', ')}`;
+                    const block = resumeState.text.split('\n\n').find(b => b.startsWith(`${section.toUpperCase()}\n`));
+                    return block || `The resume has no ${section} section.`;
+                }
+            });
+
+            registerCommand({
+                name: 'contact',
+                usage: 'contact',
+                description: 'How to reach Athar.',
+                run: () => 'Email: sayedathar242@gmail.com'
+            });
+
+            registerCommand({
+                name: 'about',
+                aliases: ['whoami'],
+                usage: 'about',
+                description: 'The short bio from the About section.',
+                run: () => document.querySelector('#about .about-text')?.innerText || 'About section not found.'
+            });
+
+            registerCommand({
+                name: 'export',
+                usage: 'export [md|txt|json]',
+                description: 'Download this conversation (Markdown by default).',
+                complete: () => Object.keys(EXPORT_FORMATS),
+                accepts: ({ args }) => args.length === 1 && Boolean(exportFormat(args[0])),
+                run: ({ args }) => {
+                    const key = exportFormat(args[0] || 'md');
+                    if (!key) return 'Usage: export [md|txt|json]';
+                    const count = exportConversation(key);
+                    return count ? `Exported ${count} messages as ${key.toUpperCase()}.` : NOTHING_YET;
+                }
+            });
+
+            registerCommand({
+                name: 'copy',
+                usage: 'copy',
+                description: 'Copy the last answer to the clipboard.',
+                run: () => {
+                    const last = [...convo.history].reverse().find(h => h.role === 'assistant' && h.content);
+                    if (!last) return 'Nothing to copy yet — ask a question first.';
+                    copyToClipboard(last.content)
+                        .then(() => showNotification('Copied the last reply to your clipboard.'))
+                        .catch(() => showNotification('Could not access the clipboard.', 'error'));
+                    return null;
+                }
+            });
+
+            registerCommand({
+                name: 'clear',
+                aliases: ['cls', 'reset'],
+                usage: 'clear',
+                description: 'Start a new conversation.',
+                run: () => {
+                    // Drop the answer in flight so a late reply can't land in the new conversation
+                    if (convo.pendingRequest) {
+                        convo.pendingRequest.cleared = true;
+                        convo.pendingRequest.controller.abort();
+                        convo.pendingRequest = null;
+                    }
                     chatMessages.innerHTML = '';
+                    // Start over with a fresh server session
+                    convo.history = [];
+                    convo.sessionId = null;
+                    saveSessionId(null);
+                    clearTranscript();
                     // Replay the typed intro (do not return a string — displayBootMessage handles UI)
                     displayBootMessage();
                     return null;
-                },
-                stop: () => {
+                }
+            });
+
+            registerCommand({
+                name: 'stop',
+                aliases: ['cancel'],
+                usage: 'stop',
+                description: 'Cancel the answer in progress.',
+                run: () => {
                     if (convo.pendingRequest && convo.pendingRequest.controller) {
                         convo.pendingRequest.controller.abort();
                         return 'Stopping current request...';
                     }
                     return 'No request in progress.';
                 }
-            };
+            });
+
+            // Output text of a command (null when it renders on its own)
+            function commandOutput(name) {
+                return findCommand(name).run(parseCommandLine(name));
+            }
+
+            // Run a command line (or answer a skill question); returns false when the input should go to the model
+            function runLocalCommand(input) {
+                const skillAnswer = answerSkillQuestion(input);
+                if (skillAnswer) {
+                    appendText('system', skillAnswer);
+                    return true;
+                }
+                const parsed = parseCommandLine(input);
+                const command = findCommand(parsed.name);
+                if (!command) {
+                    // `/typo` always gets a suggestion; a bare single word only when it is a near miss
+                    const guess = parsed.name ? suggestCommand(parsed.name) : null;
+                    if (!parsed.prefixed && (!guess || parsed.args.length)) return false;
+                    appendText('system', guess
+                        ? `Unknown command "${parsed.name}". Did you mean **${guess}**? Type **help** for the list.`
+                        : `Unknown command "${parsed.name}". Type **help** for the list.`);
+                    return true;
+                }
+                const hasArgs = parsed.args.length || Object.keys(parsed.flags).length;
+                if (!parsed.prefixed && hasArgs && !(command.accepts && command.accepts(parsed))) return false;
+
+                const out = command.run(parsed);
+                if (out !== undefined && out !== null && out !== '') {
+                    appendText('system', out);
+                }
+                return true;
+            }
+
+            // Tab completion: command names first, then the command's own argument candidates
+            function completeInput() {
+                const value = terminalInput.value;
+                const prefix = value.startsWith('/') ? '/' : '';
+                const body = value.slice(prefix.length);
+                const space = body.indexOf(' ');
+                let candidates;
+                let partial;
+                let head;
+                if (space === -1) {
+                    partial = body.toLowerCase();
+                    candidates = Array.from(commands.keys()).filter(n => n.startsWith(partial));
+                    head = prefix;
+                } else {
+                    const command = findCommand(body.slice(0, space));
+                    if (!command || !command.complete) return false;
+                    const rest = body.slice(space + 1);
+                    const flag = rest.match(/^(.*--[\w-]+\s+)(.*)$/);
+                    head = prefix + body.slice(0, space + 1) + (flag ? flag[1] : '');
+                    partial = (flag ? flag[2] : rest).toLowerCase();
+                    candidates = command.complete().filter(c => c.toLowerCase().startsWith(partial));
+                }
+                if (!candidates.length) return false;
+                if (candidates.length === 1) {
+                    const completion = candidates[0];
+                    terminalInput.value = head + completion + (space === -1 ? ' ' : '');
+                    return true;
+                }
+                // Several matches: extend to their common prefix, or list them when there is nothing to add
+                let common = candidates[0];
+                candidates.forEach(c => {
+                    while (!c.toLowerCase().startsWith(common.toLowerCase())) common = common.slice(0, -1);
+                });
+                if (common.length > partial.length) {
+                    terminalInput.value = head + common;
+                } else {
+                    appendText('system', candidates.map(c => `\`${c}\``).join(' '));
+                }
+                return true;
+            }
+
+            // Header export button with its format menu
+            const exportBtn = document.getElementById('chat-export');
+            const exportMenu = document.getElementById('chat-export-menu');
+            if (exportBtn && exportMenu) {
+                const setMenuOpen = (open) => {
+                    exportMenu.hidden = !open;
+                    exportBtn.setAttribute('aria-expanded', String(open));
+                };
+                exportBtn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    setMenuOpen(exportMenu.hidden);
+                });
+                exportMenu.addEventListener('click', (e) => {
+                    const item = e.target.closest('[data-format]');
+                    if (!item) return;
+                    setMenuOpen(false);
+                    const count = exportConversation(item.dataset.format);
+                    if (count) showNotification(`Conversation exported (${count} messages).`);
+                    else showNotification(NOTHING_YET, 'error');
+                });
+                document.addEventListener('click', (e) => {
+                    if (!exportMenu.hidden && !e.target.closest('.terminal-actions')) setMenuOpen(false);
+                });
+                document.addEventListener('keydown', (e) => {
+                    if (e.key === 'Escape' && !exportMenu.hidden) setMenuOpen(false);
+                });
+            }
+
+            // Shell-style prompt history, kept per browser: Up/Down recall, Ctrl+R reverse search
+            const PROMPT_HISTORY_KEY = 'iris.promptHistory';
+            const PROMPT_HISTORY_LIMIT = 100;
+            const INPUT_MAX_HEIGHT = 160; // px; the textarea scrolls past this
+            const recall = { entries: loadPromptHistory(), index: -1, draft: '' };
+            const search = { active: false, query: '', index: -1, draft: '' };
+            const searchStatus = document.getElementById('history-search');
+
+            function loadPromptHistory() {
+                try {
+                    const saved = JSON.parse(localStorage.getItem(PROMPT_HISTORY_KEY) || '[]');
+                    return Array.isArray(saved) ? saved.filter(p => typeof p === 'string') : [];
+                } catch (e) {
+                    return [];
+                }
+            }
+
+            function rememberPrompt(input) {
+                // Oldest first, like a shell history file; repeats move to the end
+                recall.entries = recall.entries.filter(p => p !== input);
+                recall.entries.push(input);
+                if (recall.entries.length > PROMPT_HISTORY_LIMIT) recall.entries.splice(0, recall.entries.length - PROMPT_HISTORY_LIMIT);
+                recall.index = -1;
+                try {
+                    localStorage.setItem(PROMPT_HISTORY_KEY, JSON.stringify(recall.entries));
+                } catch (e) { /* storage disabled */ }
+            }
+
+            // Grow the textarea with its content (Shift+Enter adds lines)
+            function autoGrow() {
+                terminalInput.style.height = 'auto';
+                terminalInput.style.height = Math.min(terminalInput.scrollHeight, INPUT_MAX_HEIGHT) + 'px';
+            }
+
+            function setInput(value) {
+                terminalInput.value = value;
+                autoGrow();
+                terminalInput.setSelectionRange(value.length, value.length);
+            }
 
+            // Step through history (-1 older, +1 newer); the unsent draft comes back past the newest entry
+            function recallPrompt(step) {
+                const { entries } = recall;
+                if (!entries.length) return false;
+                if (recall.index === -1) {
+                    if (step > 0) return false;
+                    recall.draft = terminalInput.value;
+                    recall.index = entries.length;
+                }
+                const next = recall.index + step;
+                if (next < 0) return true;
+                if (next >= entries.length) {
+                    recall.index = -1;
+                    setInput(recall.draft);
+                    return true;
+                }
+                recall.index = next;
+                setInput(entries[next]);
+                return true;
+            }
+
+            function caretOnFirstLine() {
+                return !terminalInput.value.slice(0, terminalInput.selectionStart).includes('\n');
+            }
+
+            function caretOnLastLine() {
+                return !terminalInput.value.slice(terminalInput.selectionEnd).includes('\n');
+            }
+
+            // Reverse search: newest entry at or before `from` containing the query
+            function findInHistory(query, from) {
+                const q = query.toLowerCase();
+                for (let i = Math.min(from, recall.entries.length - 1); i >= 0; i--) {
+                    if (recall.entries[i].toLowerCase().includes(q)) return i;
+                }
+                return -1;
+            }
+
+            function renderSearch() {
+                const match = search.index >= 0 ? recall.entries[search.index] : '';
+                const failed = search.query && search.index < 0 ? 'failed ' : '';
+                if (searchStatus) {
+                    searchStatus.hidden = false;
+                    searchStatus.textContent = `(${failed}reverse-i-search)\`${search.query}': ${match.replace(/\n/g, ' ↵ ')}`;
+                }
+                if (match) setInput(match);
+            }
+
+            function startSearch() {
+                if (search.active) {
+                    // Ctrl+R again: next older match
+                    const older = findInHistory(search.query, search.index - 1);
+                    if (older >= 0) search.index = older;
+                } else {
+                    Object.assign(search, { active: true, query: '', index: -1, draft: terminalInput.value });
+                }
+                renderSearch();
+            }
+
+            function endSearch(keepMatch) {
+                if (!search.active) return;
+                search.active = false;
+                if (searchStatus) searchStatus.hidden = true;
+                if (!keepMatch) setInput(search.draft);
+                recall.index = -1;
+            }
+
+            // Keys while searching; returns true when the key was consumed
+            function handleSearchKey(e) {
+                if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) return true;
+                if (e.key === 'Escape' || (e.ctrlKey && e.key.toLowerCase() === 'g')) {
+                    endSearch(false);
+                    return true;
+                }
+                if (e.key === 'Backspace') {
+                    search.query = search.query.slice(0, -1);
+                } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+                    search.query += e.key;
+                } else {
+                    // Enter sends the match, anything else (arrows, Tab...) edits it
+                    endSearch(true);
+                    return false;
+                }
+                search.index = search.query ? findInHistory(search.query, recall.entries.length - 1) : -1;
+                renderSearch();
+                return true;
+            }
+
+            function submitInput() {
+                // New user input should immediately reveal any typing messages
+                skipAllTyping();
+                const input = terminalInput.value.trim();
+                if (!input) return;
+                setInput('');
+                clearSuggestions();
+                rememberPrompt(input);
+                appendText('user', input);
+
+                if (runLocalCommand(input)) return;
+                askMistral(input);
+            }
+
+            terminalInput.addEventListener('input', () => {
+                autoGrow();
+                recall.index = -1;
+            });
+
+            // No stopPropagation here: the document-level handler still reveals typing on every key
             terminalInput.addEventListener('keydown', (e) => {
-                if (e.key === 'Enter' && !terminalInput.disabled) {
+                if (e.ctrlKey && e.key.toLowerCase() === 'r') {
                     e.preventDefault();
-                    // New user input should immediately reveal any typing messages
-                    skipAllTyping();
-                    const input = terminalInput.value.trim();
-                    if (!input) return;
-                    terminalInput.value = '';
-                    appendMessage('user', sanitize(input));
-
-                    const key = input.toLowerCase();
-                    if (Object.prototype.hasOwnProperty.call(localCommands, key)) {
-                        const out = localCommands[key]();
-                        if (out !== undefined && out !== null && out !== '') {
-                            appendMessage('system', out);
-                        }
-                        return;
+                    startSearch();
+                    return;
+                }
+                if (search.active && handleSearchKey(e)) {
+                    e.preventDefault();
+                    return;
+                }
+                if (e.ctrlKey && e.key.toLowerCase() === 'l') {
+                    // Same as typing `clear` (and keeps the browser from focusing its address bar)
+                    e.preventDefault();
+                    if (!terminalInput.disabled) findCommand('clear').run(parseCommandLine('clear'));
+                    return;
+                }
+                if (e.key === 'Tab' && !e.shiftKey && terminalInput.value.trim()) {
+                    // Keep focus in the terminal when there is something to complete
+                    if (completeInput()) {
+                        e.preventDefault();
+                        autoGrow();
                     }
-
-                    askMistral(input);
+                    return;
+                }
+                if ((e.key === 'ArrowUp' && caretOnFirstLine()) || (e.key === 'ArrowDown' && caretOnLastLine())) {
+                    if (recallPrompt(e.key === 'ArrowUp' ? -1 : 1)) e.preventDefault();
+                    return;
+                }
+                // Shift+Enter falls through to the textarea and inserts a newline
+                if (e.key === 'Enter' && !e.shiftKey && !e.isComposing && !terminalInput.disabled) {
+                    e.preventDefault();
+                    submitInput();
                 }
             });
 
@@ -936,40 +2082,183 @@ function initStatCounters() {
                 sendBtn.addEventListener('click', (e) => {
                     e.preventDefault();
                     if (terminalInput.disabled) return;
-                    // Reveal any in-flight typing before sending new message
-                    skipAllTyping();
-                    const input = terminalInput.value.trim();
-                    if (!input) return;
-                    terminalInput.value = '';
-                    appendMessage('user', sanitize(input));
-
-                    const key = input.toLowerCase();
-                    if (Object.prototype.hasOwnProperty.call(localCommands, key)) {
-                        const out = localCommands[key]();
-                        if (out !== undefined && out !== null && out !== '') {
-                            appendMessage('system', out);
-                        }
-                        return;
-                    }
-
-                    askMistral(input);
+                    endSearch(true);
+                    submitInput();
                 });
             }
 
+            // First open without a saved transcript: restore the server session, or type the boot message
+            async function startTerminal() {
+                if (convo.starting) return;
+                convo.starting = true;
+                terminalInput.disabled = true;
+                if (await restoreSession()) {
+                    const notice = appendMessage('system', 'Restored your previous conversation. Type <b>clear</b> to start over.');
+                    notice.dataset.ephemeral = 'true';
+                    enableInput();
+                    convo.booted = true;
+                } else {
+                    await displayBootMessage();
+                }
+                convo.starting = false;
+            }
+
             function toggleTerminal() {
                 terminal.classList.toggle('active');
                 console.log('Toggle AI chat:', terminal.classList.contains('active'));
                 if (terminal.classList.contains('active')) {
                     if (!convo.booted) {
-                        displayBootMessage();
+                        startTerminal();
                     } else {
-                        terminalInput.focus();
+                        if (convo.restoreScroll !== null) {
+                            chatMessages.scrollTop = convo.restoreScroll;
+                            convo.restoreScroll = null;
+                        }
+                        enableInput();
                     }
                 } else {
                     terminalInput.blur();
                 }
             }
 
+            // Transcript persistence: the rendered conversation is mirrored to localStorage so a reload,
+            // a followed link or another tab shows it again without replaying the boot message
+            const TRANSCRIPT_STORAGE_KEY = 'iris.transcript';
+            const TRANSCRIPT_LIMITS = {
+                maxMessages: 80,
+                maxBytes: 200000, // serialized size; oldest messages are dropped to fit
+                maxAgeMs: 7 * 24 * 60 * 60 * 1000
+            };
+            let lastSavedMessages = null;
+            let lastSavedScroll = 0;
+            let transcriptSaveTimer = null;
+
+            function messageRole(li) {
+                return ['user', 'assistant', 'system'].find(r => li.classList.contains(r)) || 'system';
+            }
+
+            function serializeTranscript() {
+                const messages = [];
+                chatMessages.querySelectorAll(':scope > li.message').forEach(li => {
+                    const bubble = li.querySelector('.bubble');
+                    // Skip in-flight replies, the boot/restore notices and live countdowns
+                    if (!bubble || li.dataset.ephemeral || bubble.classList.contains('typing') || bubble.classList.contains('rate-limited')) return;
+                    // Only the text is stored; restoring renders it again, so no saved HTML is ever injected
+                    let text = bubble.dataset.fullText;
+                    if (text === undefined) {
+                        const copy = bubble.cloneNode(true);
+                        copy.querySelectorAll('.citation-chips, .suggestion-chips').forEach(el => el.remove());
+                        text = copy.innerText || copy.textContent;
+                    }
+                    const message = { role: messageRole(li), text, at: li.dataset.at };
+                    if (li.dataset.citations) message.citations = JSON.parse(li.dataset.citations);
+                    messages.push(message);
+                });
+                return messages.slice(-TRANSCRIPT_LIMITS.maxMessages);
+            }
+
+            function saveTranscript() {
+                const messages = serializeTranscript();
+                const messagesJson = JSON.stringify(messages);
+                // The list is hidden (scrollTop 0) while the terminal is closed; keep the last real position
+                const scrollTop = terminal.classList.contains('active') ? chatMessages.scrollTop : lastSavedScroll;
+                if (messagesJson === lastSavedMessages && scrollTop === lastSavedScroll) return;
+                lastSavedMessages = messagesJson;
+                lastSavedScroll = scrollTop;
+                try {
+                    if (!messages.length) {
+                        localStorage.removeItem(TRANSCRIPT_STORAGE_KEY);
+                        return;
+                    }
+                    const state = { savedAt: Date.now(), scrollTop, messages };
+                    let json = JSON.stringify(state);
+                    while (json.length > TRANSCRIPT_LIMITS.maxBytes && state.messages.length > 1) {
+                        state.messages = state.messages.slice(Math.ceil(state.messages.length / 4));
+                        json = JSON.stringify(state);
+                    }
+                    localStorage.setItem(TRANSCRIPT_STORAGE_KEY, json);
+                } catch (e) {
+                    console.warn('Could not save the chat transcript:', e);
+                }
+            }
+
+            function scheduleTranscriptSave() {
+                clearTimeout(transcriptSaveTimer);
+                transcriptSaveTimer = setTimeout(saveTranscript, 300);
+            }
+
+            function loadTranscript() {
+                try {
+                    const state = JSON.parse(localStorage.getItem(TRANSCRIPT_STORAGE_KEY) || 'null');
+                    if (!state || !Array.isArray(state.messages) || !state.messages.length) return null;
+                    if (!(Date.now() - state.savedAt < TRANSCRIPT_LIMITS.maxAgeMs)) {
+                        localStorage.removeItem(TRANSCRIPT_STORAGE_KEY);
+                        return null;
+                    }
+                    return state;
+                } catch (e) {
+                    return null;
+                }
+            }
+
+            // Replace the rendered messages (and the display history) with a saved transcript
+            function renderTranscript(state) {
+                chatMessages.innerHTML = '';
+                convo.history = [];
+                state.messages.forEach(m => {
+                    const role = ['user', 'assistant', 'system'].includes(m.role) ? m.role : 'system';
+                    const li = appendText(role, String(m.text || ''));
+                    if (m.at) li.dataset.at = m.at;
+                    renderCitations(li, m.citations);
+                    if (role !== 'system') convo.history.push({ role, content: m.text || '' });
+                });
+                lastSavedMessages = JSON.stringify(state.messages);
+                lastSavedScroll = Number(state.scrollTop) || 0;
+                if (terminal.classList.contains('active')) chatMessages.scrollTop = lastSavedScroll;
+                else convo.restoreScroll = lastSavedScroll;
+                convo.booted = true;
+            }
+
+            function clearTranscript() {
+                clearTimeout(transcriptSaveTimer);
+                lastSavedMessages = null;
+                try {
+                    localStorage.removeItem(TRANSCRIPT_STORAGE_KEY);
+                } catch (e) { /* storage disabled */ }
+            }
+
+            new MutationObserver(scheduleTranscriptSave).observe(chatMessages, {
+                childList: true,
+                subtree: true,
+                characterData: true,
+                attributes: true,
+                attributeFilter: ['class']
+            });
+            chatMessages.addEventListener('scroll', scheduleTranscriptSave, { passive: true });
+
+            // Other tabs: follow their transcript and session (the storage event never fires in the writing tab)
+            window.addEventListener('storage', (e) => {
+                if (e.key === SESSION_STORAGE_KEY) {
+                    convo.sessionId = e.newValue;
+                    return;
+                }
+                if (e.key !== TRANSCRIPT_STORAGE_KEY || convo.pendingRequest) return;
+                if (!e.newValue) {
+                    // Cleared elsewhere
+                    chatMessages.innerHTML = '';
+                    convo.history = [];
+                    lastSavedMessages = null;
+                    convo.booted = false;
+                    if (terminal.classList.contains('active')) startTerminal();
+                    return;
+                }
+                const state = loadTranscript();
+                if (state && JSON.stringify(state.messages) !== lastSavedMessages) renderTranscript(state);
+            });
+
+            const savedTranscript = loadTranscript();
+            if (savedTranscript) renderTranscript(savedTranscript);
+
             terminalToggle.addEventListener('click', toggleTerminal);
             if (closeBtn) closeBtn.addEventListener('click', toggleTerminal);
 
@@ -0,0 +1,96 @@
+// Prompt-injection and jailbreak guard for /api/chat. Classifies the incoming question and the
+// recent session history before anything reaches the model, and checks model output for leaked
+// system-prompt text before it reaches the browser. Blocked attempts are logged.
+
+export const REFUSAL_REPLY = 'I can help with public portfolio information only and I cannot share internal instructions, hidden prompts, or system templates.';
+export const OFF_TOPIC_REPLY = "I can only answer questions about Athar Sayed's resume, projects, skills and experience.";
+
+// Input classes, checked in order
+const RULES = [
+  {
+    category: 'prompt-extraction',
+    pattern: /system prompt|developer prompt|prompt template|hidden prompt|internal instructions|initial (prompt|instructions)|show me your (system|developer|hidden) (prompt|instructions)|reveal (your|the) (system|developer|hidden) (prompt|instructions|rules)|what is your prompt|what are your (instructions|rules)|give me the code prompt|template for the prompt|(repeat|print|output|echo) (everything|all|the text|the words|the instructions) (above|before|so far)|what were you told|(rules|instructions) you (were given|follow)/i
+  },
+  {
+    category: 'role-override',
+    pattern: /(ignore|disregard|forget|override|bypass) (all |any |the |your |these |those )*(previous|prior|above|earlier|preceding|system|original)? ?(instructions|rules|prompts?|guidelines|directions|constraints)|you are (now|no longer)|you're now|from now on,? you|pretend (to be|you are|you're)|^\s*(please\s+)?act as\b|i want you to act as|role-?play as|developer mode|jailbreak|\bDAN mode\b|do anything now|new (system )?instructions:|without (any )?(restrictions|filters|rules)/i
+  },
+  {
+    category: 'off-topic',
+    pattern: /^\s*(please\s+)?(write|compose|generate|create|draft) (me )?(a |an |some )?(poem|story|song|essay|joke|limerick|haiku|code|script|program|function|sql|regex|recipe)|^\s*(please\s+)?(solve|calculate|compute|translate)\b|what('s| is) the (weather|capital of|time in)|\brecipe for\b/i
+  }
+];
+
+// Chat-template tokens and role markers that never belong in a visitor's text
+const INJECTION_MARKERS = /<\|im_(start|end)\|>|\[\/?INST\]|<<\/?SYS>>|<\/?(system|assistant|developer)>|^\s*(system|developer)\s*:|\bBEGIN SYSTEM PROMPT\b/im;
+
+function excerpt(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim().slice(0, 80);
+}
+
+function matchRule(text, categories) {
+  if (INJECTION_MARKERS.test(text)) return 'role-override';
+  const rule = RULES.find(r => categories.includes(r.category) && r.pattern.test(text));
+  return rule ? rule.category : null;
+}
+
+/**
+ * Classify one chat turn. `history` is the normalized, server-owned session, which only holds
+ * turns that passed this check. Returns null when clean, otherwise
+ * { category, source: 'prompt' | 'history', excerpt }. Categories: prompt-extraction,
+ * role-override, off-topic.
+ * The last `window` user turns are read together with the prompt for extraction/override, so an
+ * attack split over several messages ("ignore all previous" / "instructions") is still caught.
+ */
+export function inspectInput(prompt, history = [], { window = 4 } = {}) {
+  const category = matchRule(String(prompt || ''), ['prompt-extraction', 'role-override', 'off-topic']);
+  if (category) return { category, source: 'prompt', excerpt: excerpt(prompt) };
+
+  const recentUsers = (Array.isArray(history) ? history : []).filter(h => h?.role === 'user').slice(-window);
+  if (!recentUsers.length) return null;
+  const combined = [...recentUsers.map(h => h.content), prompt].map(text => String(text || '').trim()).join(' ');
+  const hit = matchRule(combined, ['prompt-extraction', 'role-override']);
+  return hit ? { category: hit, source: 'history', excerpt: excerpt(combined) } : null;
+}
+
+export function refusalFor(verdict) {
+  return verdict.category === 'off-topic' ? OFF_TOPIC_REPLY : REFUSAL_REPLY;
+}
+
+export function logBlocked(verdict) {
+  console.warn(`🛡️ Guard blocked ${verdict.category} (${verdict.source}): "${verdict.excerpt}"`);
+}
+
+function words(text) {
+  return String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+function shingles(text, size) {
+  const w = words(text);
+  const out = new Set();
+  for (let i = 0; i + size <= w.length; i++) out.add(w.slice(i, i + size).join(' '));
+  return out;
+}
+
+/**
+ * Detects model output that quotes the hidden prompt. `secret` is split into word n-grams;
+ * n-grams that also appear in `allow` (replies the model is told to give verbatim) are ignored.
+ * leaks(text) is true when `threshold` or more secret n-grams, or any `markers`, show up.
+ */
+export function createLeakDetector(secret, { allow = [], markers = [], size = 6, threshold = 2 } = {}) {
+  const secretShingles = shingles(secret, size);
+  allow.forEach(text => shingles(text, size).forEach(s => secretShingles.delete(s)));
+  const markerList = markers.map(m => m.toLowerCase());
+
+  return {
+    leaks(text) {
+      const lower = String(text || '').toLowerCase();
+      if (markerList.some(m => lower.includes(m))) return true;
+      let hits = 0;
+      for (const s of shingles(lower, size)) {
+        if (secretShingles.has(s) && ++hits >= threshold) return true;
+      }
+      return false;
+    }
+  };
+}
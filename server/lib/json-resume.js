@@ -0,0 +1,97 @@
+// The merged resume mapped onto the open JSON Resume schema (https://jsonresume.org/schema),
+// served at GET /api/resume.json for ATS imports and resume themes. Fields the resume doesn't
+// have are left out rather than sent empty.
+export const JSON_RESUME_SCHEMA_URL = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// "February 2026" -> "2026-02", "Apr 4, 2023" and "4 April 2023" -> "2023-04-04", "2024" -> "2024";
+// '' when there's no year
+export function toIsoDate(text) {
+  const value = String(text || '').trim();
+  const year = (value.match(/\b(\d{4})\b/) || [])[1];
+  if (!year) return '';
+  const word = value.match(/\b([A-Za-z]{3})[a-z]*\b/);
+  const month = MONTHS.indexOf(word?.[1].toLowerCase());
+  if (month < 0) return year;
+  const mm = String(month + 1).padStart(2, '0');
+  // The day comes before the month name ("2 June", "2nd June") or after it ("June 2, 2026")
+  const day = Number((value.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${word[0]}`)) ||
+    value.match(new RegExp(`${word[0]}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`)) || [])[1]);
+  return day >= 1 && day <= 31 ? `${year}-${mm}-${String(day).padStart(2, '0')}` : `${year}-${mm}`;
+}
+
+// "June 2023 - July 2024" -> { startDate, endDate }; an open range ("- Present") has no endDate
+function dateRange(text) {
+  const [start, end = ''] = String(text || '').split(/\s*[-–—]\s*/);
+  return { startDate: toIsoDate(start), endDate: /present|current/i.test(end) ? '' : toIsoDate(end) };
+}
+
+// Drop empty strings, nulls and empty arrays so the output validates against the JSON Resume schema
+function compact(entry) {
+  return Object.fromEntries(Object.entries(entry).filter(([, v]) =>
+    v !== undefined && v !== null && v !== '' && !(Array.isArray(v) && !v.length)));
+}
+
+const firstUrl = links => ((links || []).find(l => /^https?:\/\//.test(l.url)) || {}).url;
+
+function profile({ network, url }) {
+  const username = url.replace(/\/+$/, '').split('/').pop();
+  return compact({ network, username, url });
+}
+
+/**
+ * JSON Resume document for a resume in the /api/resume shape. `lastModified` (ISO date-time)
+ * goes into meta.
+ */
+export function toJsonResume(resume, { lastModified } = {}) {
+  const r = resume || {};
+  const contact = r.contact || {};
+
+  return compact({
+    $schema: JSON_RESUME_SCHEMA_URL,
+    basics: compact({
+      name: r.name,
+      email: contact.email,
+      summary: r.summary,
+      profiles: (contact.profiles || []).map(profile)
+    }),
+    work: (r.experience || []).map(e => compact({
+      name: e.company,
+      position: e.role,
+      location: e.location,
+      ...dateRange(e.dates),
+      highlights: e.details
+    })),
+    education: (r.education || []).map(e => {
+      // "M. Tech. – Artificial Intelligence" -> studyType "M. Tech.", area "Artificial Intelligence"
+      const [studyType, ...area] = String(e.degree || '').split(/\s[-–—]\s/);
+      return compact({
+        institution: e.institution,
+        area: area.join(' – '),
+        studyType,
+        ...dateRange(e.dates),
+        score: e.grade,
+        courses: e.details
+      });
+    }),
+    projects: (r.projects || []).map(p => compact({
+      name: p.name,
+      ...dateRange(p.dates),
+      highlights: p.details,
+      keywords: p.tags,
+      url: firstUrl(p.links)
+    })),
+    skills: (r.skills || []).map(s => compact({ name: s.category, keywords: s.items })),
+    certificates: (r.certifications || []).map(c => compact({ name: c.title, issuer: c.issuer, date: toIsoDate(c.year) })),
+    publications: (r.publications || []).map(p => compact({
+      name: p.title,
+      publisher: p.venue,
+      releaseDate: toIsoDate(p.date || p.year),
+      url: firstUrl(p.links),
+      summary: p.abstract
+    })),
+    awards: (r.achievements || []).map(title => ({ title })),
+    meta: lastModified ? { lastModified } : undefined
+  });
+}
@@ -0,0 +1,180 @@
+// Minimal PDF 1.4 writer for the generated resume: text in the standard Helvetica faces and
+// straight lines, no external dependencies. Content streams are deflated with zlib and no dates
+// are embedded, so the same input always produces the same bytes (and the same ETag).
+import zlib from 'zlib';
+
+export const A4 = [595.28, 841.89];
+
+// Standard 14 font metrics (glyph widths per 1000 units) for characters 32..126
+const ASCII_WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+
+// Punctuation outside Latin-1 that WinAnsiEncoding still has: [code, regular width, bold width]
+const WIN_ANSI_EXTRAS = {
+  '€': [0x80, 556, 556],
+  '…': [0x85, 1000, 1000],
+  '‘': [0x91, 222, 278],
+  '’': [0x92, 222, 278],
+  '“': [0x93, 333, 500],
+  '”': [0x94, 333, 500],
+  '•': [0x95, 350, 350],
+  '–': [0x96, 556, 556],
+  '—': [0x97, 1000, 1000],
+  '™': [0x99, 1000, 1000]
+};
+
+const REPLACEMENTS = { '→': '->', '←': '<-', '≥': '>=', '≤': '<=', '≈': '~', '✓': '+' };
+
+const FONTS = {
+  regular: { id: 'F1', base: 'Helvetica', widths: 'regular' },
+  bold: { id: 'F2', base: 'Helvetica-Bold', widths: 'bold' },
+  italic: { id: 'F3', base: 'Helvetica-Oblique', widths: 'regular' }
+};
+
+// Map text onto WinAnsi: Latin-1 passes through, known punctuation is mapped, accents on other
+// letters are dropped and anything else becomes '?'
+function toWinAnsi(text) {
+  return Array.from(String(text || '')).map(ch => {
+    if (REPLACEMENTS[ch]) return REPLACEMENTS[ch];
+    const code = ch.codePointAt(0);
+    if ((code >= 32 && code <= 126) || (code >= 0xa1 && code <= 0xff) || WIN_ANSI_EXTRAS[ch]) return ch;
+    const base = ch.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+    return /^[\x20-\x7e]+$/.test(base) ? base : (/\s/.test(ch) ? ' ' : '?');
+  }).join('');
+}
+
+function charWidth(ch, font) {
+  const table = FONTS[font].widths;
+  const code = ch.codePointAt(0);
+  if (code >= 32 && code <= 126) return ASCII_WIDTHS[table][code - 32];
+  if (WIN_ANSI_EXTRAS[ch]) return WIN_ANSI_EXTRAS[ch][table === 'bold' ? 2 : 1];
+  return 556;
+}
+
+/** Width of `text` in points when set in `font` ('regular', 'bold' or 'italic') at `size`. */
+export function textWidth(text, font, size) {
+  return Array.from(toWinAnsi(text)).reduce((sum, ch) => sum + charWidth(ch, font), 0) * size / 1000;
+}
+
+/** Greedy word wrap to `maxWidth` points. */
+export function wrapText(text, font, size, maxWidth) {
+  const lines = [];
+  let line = '';
+  String(text || '').split(/\s+/).filter(Boolean).forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && textWidth(candidate, font, size) > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+}
+
+// PDF string literal in WinAnsi bytes (latin1 in the output buffer)
+function pdfString(text) {
+  const bytes = Array.from(toWinAnsi(text)).map(ch => (WIN_ANSI_EXTRAS[ch] ? String.fromCharCode(WIN_ANSI_EXTRAS[ch][0]) : ch)).join('');
+  return `(${bytes.replace(/[\\()]/g, '\\$&')})`;
+}
+
+// Document info strings (PDFDocEncoding differs from WinAnsi) go out as UTF-16BE hex
+function pdfTextString(text) {
+  const utf16 = Buffer.from(`\ufeff${text}`, 'utf16le').swap16();
+  return `<${utf16.toString('hex').toUpperCase()}>`;
+}
+
+const num = n => Number(n.toFixed(2)).toString();
+
+/**
+ * A document of fixed-size pages. Coordinates are PDF points from the bottom-left corner.
+ *   const doc = createPdf({ title });
+ *   const page = doc.addPage();
+ *   page.text(50, 780, 'Hello', { font: 'bold', size: 12 });
+ *   const buffer = doc.toBuffer();
+ */
+export function createPdf({ title = '', size = A4 } = {}) {
+  const pages = [];
+
+  function addPage() {
+    const ops = [];
+    const page = {
+      width: size[0],
+      height: size[1],
+      text(x, y, text, { font = 'regular', size: fontSize = 10, color = [0, 0, 0] } = {}) {
+        ops.push(`BT ${color.map(num).join(' ')} rg /${FONTS[font].id} ${num(fontSize)} Tf ${num(x)} ${num(y)} Td ${pdfString(text)} Tj ET`);
+      },
+      line(x1, y1, x2, y2, { width = 0.5, color = [0, 0, 0] } = {}) {
+        ops.push(`${color.map(num).join(' ')} RG ${num(width)} w ${num(x1)} ${num(y1)} m ${num(x2)} ${num(y2)} l S`);
+      }
+    };
+    pages.push(ops);
+    return page;
+  }
+
+  function toBuffer() {
+    // Object numbers: 1 catalog, 2 page tree, 3-5 fonts, 6 info, then a page and its contents per page
+    const fontIds = Object.values(FONTS);
+    const pageRef = i => 7 + i * 2;
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      `<< /Type /Pages /Kids [${pages.map((_, i) => `${pageRef(i)} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+      ...fontIds.map(f => `<< /Type /Font /Subtype /Type1 /BaseFont /${f.base} /Encoding /WinAnsiEncoding >>`),
+      `<< /Title ${pdfTextString(title)} /Producer (resume generator) >>`
+    ].map(body => Buffer.from(body, 'latin1'));
+
+    const fontRefs = fontIds.map((f, i) => `/${f.id} ${3 + i} 0 R`).join(' ');
+    pages.forEach((ops, i) => {
+      const stream = zlib.deflateSync(Buffer.from(ops.join('\n'), 'latin1'));
+      objects.push(Buffer.from(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(size[0])} ${num(size[1])}] ` +
+        `/Resources << /Font << ${fontRefs} >> >> /Contents ${pageRef(i) + 1} 0 R >>`, 'latin1'));
+      objects.push(Buffer.concat([
+        Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+        stream,
+        Buffer.from('\nendstream', 'latin1')
+      ]));
+    });
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    const offsets = [];
+    let length = chunks[0].length;
+    objects.forEach((body, i) => {
+      const chunk = Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`, 'latin1'), body, Buffer.from('\nendobj\n', 'latin1')]);
+      offsets.push(length);
+      chunks.push(chunk);
+      length += chunk.length;
+    });
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(o => `${String(o).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root 1 0 R /Info 6 0 R >>`,
+      'startxref',
+      String(length),
+      '%%EOF'
+    ].join('\n');
+    chunks.push(Buffer.from(`${xref}\n`, 'latin1'));
+    return Buffer.concat(chunks);
+  }
+
+  return { addPage, toBuffer, get pageCount() { return pages.length; } };
+}
@@ -0,0 +1,79 @@
+// content/portfolio.json: the projects, experience, publications, skills and certifications shown
+// on the page. index.html only holds containers for them; this module fills those in
+// (server-side pre-render for no-JS visitors and crawlers), and resume-parser.js reads the same
+// file for /api/resume and the chatbot.
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+// Shared with the page; a UMD file, so it loads as CommonJS
+import portfolioRender from '../../js/portfolio-render.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const PORTFOLIO_CONTENT_PATH = path.join(__dirname, '..', '..', 'content', 'portfolio.json');
+
+export const { SECTIONS: PORTFOLIO_SECTIONS, renderMarked } = portfolioRender;
+
+/**
+ * The parsed content file, or null when it doesn't exist. Throws on invalid JSON so a broken
+ * edit is noticed rather than silently emptying the page.
+ */
+export function readPortfolioContent(filePath = PORTFOLIO_CONTENT_PATH) {
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Everything between a section's marker comments, with the indentation of the opening one
+function markerPattern(name) {
+  return new RegExp(`([ \\t]*)<!-- content:${name}(?: [0-9a-f]*)? -->[\\s\\S]*?<!-- /content:${name} -->`);
+}
+
+/**
+ * index.html with each section's marker region replaced by cards rendered from `content`.
+ * Sections without markers (or without content) are left as they are.
+ */
+export function prerenderPage(html, content) {
+  return PORTFOLIO_SECTIONS.reduce((page, name) => {
+    if (!content || !Array.isArray(content[name])) return page;
+    return page.replace(markerPattern(name), (match, indent) => renderMarked(name, content[name], indent));
+  }, String(html));
+}
+
+/**
+ * Pre-render the cards into an HTML file on disk. Returns true when the file was out of date; with
+ * `write: false` it is only checked, not rewritten.
+ */
+export function prerenderFile(htmlPath, { content = readPortfolioContent(), write = true } = {}) {
+  const html = fs.readFileSync(htmlPath, 'utf8');
+  const page = prerenderPage(html, content);
+  if (page === html) return false;
+  if (write) fs.writeFileSync(htmlPath, page);
+  return true;
+}
+
+let rendered = { key: null, html: '' };
+
+/**
+ * The pre-rendered page for GET /, re-rendered when index.html or the content file changes.
+ * Falls back to index.html as it is on disk if the content can't be read.
+ */
+export function renderedPage(htmlPath) {
+  const key = [htmlPath, PORTFOLIO_CONTENT_PATH].map(file => {
+    try {
+      const stat = fs.statSync(file);
+      return `${stat.mtimeMs}:${stat.size}`;
+    } catch (err) {
+      return 'missing';
+    }
+  }).join('|');
+  if (rendered.key === key) return rendered.html;
+
+  const html = fs.readFileSync(htmlPath, 'utf8');
+  try {
+    rendered = { key, html: prerenderPage(html, readPortfolioContent()) };
+  } catch (err) {
+    console.error('Portfolio pre-render failed, serving index.html as is:', err.message);
+    rendered = { key, html };
+  }
+  return rendered.html;
+}
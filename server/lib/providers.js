@@ -0,0 +1,283 @@
+// LLM provider layer. Every provider exposes the same surface:
+//   { name, model, configError, complete(messages, options) -> Promise<string>, stream(messages, options) -> AsyncIterable<string> }
+// and createProvider() picks one from the environment:
+//   LLM_PROVIDER=hf      Hugging Face router (HF_API_KEY, optional LLM_MODEL)  — default
+//   LLM_PROVIDER=openai  any OpenAI-compatible server: Ollama, llama.cpp, vLLM... (LLM_BASE_URL, LLM_MODEL, optional LLM_API_KEY)
+//   LLM_PROVIDER=mock    deterministic offline answers built from the resume, no network
+// Network providers are wrapped in a fallback chain (createFallbackProvider):
+//   LLM_FALLBACK_MODELS  comma-separated models tried in order after LLM_MODEL on the same provider
+//   LLM_TIMEOUT_MS       per-attempt timeout (default 20000)
+//   LLM_MAX_RETRIES      retries per model on 429/503 (default 2), honoring Retry-After
+import { retrieveContext, answerFromChunks } from './retrieval.js';
+
+export const HF_ROUTER_BASE_URL = 'https://router.huggingface.co/v1';
+export const DEFAULT_HF_MODEL = 'meta-llama/Llama-3.1-8B-Instruct';
+
+export const FALLBACK_SETTINGS = {
+  timeoutMs: Number(process.env.LLM_TIMEOUT_MS) || 20000,
+  maxRetries: process.env.LLM_MAX_RETRIES ? Number(process.env.LLM_MAX_RETRIES) : 2,
+  backoffMs: 500,      // first retry delay, doubled per retry
+  maxRetryDelayMs: 8000 // a longer Retry-After moves on to the next model instead of waiting
+};
+
+// Upstream failure; `status` is the upstream HTTP status (0 when the request never got a response,
+// 504 on timeout) and `retryAfterMs` the parsed Retry-After header, if any
+export class ProviderError extends Error {
+  constructor(message, { status = 0, details = '', provider = '', retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.details = details;
+    this.provider = provider;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Retry-After is either delay-seconds or an HTTP date
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Parse a Server-Sent Events byte stream into { event, data } records
+export async function* readEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+    buffer = buffer.replace(/\r\n/g, '\n');
+    let idx;
+    while ((idx = buffer.indexOf('\n\n')) !== -1) {
+      const raw = buffer.slice(0, idx);
+      buffer = buffer.slice(idx + 2);
+      let event = 'message';
+      const data = [];
+      raw.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+      });
+      if (data.length) yield { event, data: data.join('\n') };
+    }
+  }
+}
+
+/**
+ * Provider for any OpenAI-compatible /chat/completions endpoint (the HF router included).
+ */
+export function createOpenAICompatibleProvider({ name = 'openai', baseUrl, apiKey = '', model, requireKey = false, fetchImpl = fetch }) {
+  const endpoint = `${String(baseUrl || '').replace(/\/+$/, '')}/chat/completions`;
+  let configError = null;
+  if (!baseUrl) configError = 'LLM_BASE_URL missing';
+  else if (!model) configError = 'LLM_MODEL missing';
+  else if (requireKey && !apiKey) configError = name === 'hf' ? 'HF_API_KEY missing' : 'LLM_API_KEY missing';
+
+  async function request(messages, { stream = false, signal, temperature, maxTokens } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+    let response;
+    try {
+      response = await fetchImpl(endpoint, {
+        method: 'POST',
+        signal,
+        headers,
+        body: JSON.stringify({ model, messages, temperature, max_tokens: maxTokens, stream })
+      });
+    } catch (err) {
+      if (err?.name === 'AbortError') throw err;
+      // DNS failures, refused connections... never reached the model
+      throw new ProviderError('Model unreachable', { details: err.message, provider: name });
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error(`${name} API error:`, response.status, errorText);
+      throw new ProviderError('Model inference failed', {
+        status: response.status,
+        details: errorText,
+        provider: name,
+        retryAfterMs: parseRetryAfter(response.headers?.get?.('retry-after'))
+      });
+    }
+    return response;
+  }
+
+  return {
+    name,
+    model,
+    configError,
+    async complete(messages, options = {}) {
+      const response = await request(messages, options);
+      const data = await response.json();
+      return data.choices?.[0]?.message?.content?.trim() || '';
+    },
+    // Stream completion tokens (OpenAI-style `stream: true` chunks)
+    async* stream(messages, options = {}) {
+      const response = await request(messages, { ...options, stream: true });
+      for await (const { data } of readEventStream(response.body)) {
+        if (data === '[DONE]') return;
+        let parsed;
+        try {
+          parsed = JSON.parse(data);
+        } catch (e) {
+          continue; // keep-alive comments or partial garbage
+        }
+        const token = parsed.choices?.[0]?.delta?.content;
+        if (token) yield token;
+      }
+    }
+  };
+}
+
+// Pull the question back out of the user message built by chat-core's buildMessages
+function questionFrom(messages) {
+  const last = [...messages].reverse().find(m => m.role === 'user');
+  const content = last ? String(last.content) : '';
+  const match = content.match(/User Question:\s*([\s\S]*?)(?:\n\nResponse \(|$)/);
+  return (match ? match[1] : content).trim();
+}
+
+/**
+ * Offline provider: answers from the best-matching resume chunk, same input → same output.
+ */
+export function createMockProvider({ model = 'mock-resume', retrieve = retrieveContext } = {}) {
+  async function answer(messages) {
+    const { chunks } = await retrieve(questionFrom(messages));
+    // The summary fallback carries no score: nothing in the resume matched
+    if (!chunks.length || chunks[0].score === undefined) return "Based on the resume, I don't have specific details on that.";
+    return answerFromChunks(chunks);
+  }
+
+  return {
+    name: 'mock',
+    model,
+    configError: null,
+    complete: answer,
+    async* stream(messages, { signal } = {}) {
+      const text = await answer(messages);
+      for (const token of text.split(/(?<=\s)/)) {
+        if (signal?.aborted) throw Object.assign(new Error('The operation was aborted'), { name: 'AbortError' });
+        yield token;
+      }
+    }
+  };
+}
+
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+// Only rate limits and temporary unavailability are worth retrying on the same model
+function isRetryable(err) {
+  return err.status === 429 || err.status === 503;
+}
+
+/**
+ * Try each provider in order. Every attempt gets its own timeout; 429/503 are retried with
+ * exponential backoff (or the upstream's Retry-After) before moving on to the next provider.
+ * Throws a ProviderError listing every attempt once the chain is exhausted. Caller aborts are
+ * never retried. Streams can only fall back until their first token arrives.
+ */
+export function createFallbackProvider(providers, {
+  timeoutMs = FALLBACK_SETTINGS.timeoutMs,
+  maxRetries = FALLBACK_SETTINGS.maxRetries,
+  backoffMs = FALLBACK_SETTINGS.backoffMs,
+  maxRetryDelayMs = FALLBACK_SETTINGS.maxRetryDelayMs
+} = {}) {
+  const usable = providers.filter(p => !p.configError);
+  const primary = usable[0] || providers[0];
+
+  // Run one attempt with a timeout linked to the caller's signal. `run` gets the attempt
+  // signal and resolves once the attempt no longer needs the timer.
+  async function attempt(provider, signal, run) {
+    const timeout = new AbortController();
+    const timer = setTimeout(() => timeout.abort(), timeoutMs);
+    const attemptSignal = signal ? AbortSignal.any([signal, timeout.signal]) : timeout.signal;
+    try {
+      return await run(attemptSignal);
+    } catch (err) {
+      if (timeout.signal.aborted && !signal?.aborted) {
+        throw new ProviderError('Model timed out', { status: 504, details: `No answer within ${timeoutMs}ms`, provider: provider.name });
+      }
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async function runChain(signal, run) {
+    const failures = [];
+    for (const provider of usable) {
+      for (let retry = 0; ; retry++) {
+        try {
+          return await attempt(provider, signal, attemptSignal => run(provider, attemptSignal));
+        } catch (err) {
+          if (err?.name === 'AbortError' || signal?.aborted) throw err;
+          if (!(err instanceof ProviderError)) throw err;
+          failures.push(`${provider.name}/${provider.model}: ${err.status || 'network'} ${err.message}`);
+          console.warn(`⚠️ ${provider.name}/${provider.model} failed (${err.status || err.details || 'network'})`);
+
+          const wait = err.retryAfterMs ?? backoffMs * 2 ** retry;
+          if (!isRetryable(err) || retry >= maxRetries || wait > maxRetryDelayMs) break;
+          await delay(wait, signal);
+        }
+      }
+    }
+    throw new ProviderError('All models failed', { status: 502, details: failures.join('; '), provider: 'fallback' });
+  }
+
+  return {
+    name: primary.name,
+    model: primary.model,
+    models: usable.map(p => p.model),
+    configError: usable.length ? null : primary.configError,
+    complete(messages, options = {}) {
+      return runChain(options.signal, (provider, signal) => provider.complete(messages, { ...options, signal }));
+    },
+    async* stream(messages, options = {}) {
+      // Fallback is only possible before anything has been sent on, so the chain covers the first token
+      const { tokens, first } = await runChain(options.signal, async (provider, signal) => {
+        const iterator = provider.stream(messages, { ...options, signal })[Symbol.asyncIterator]();
+        return { tokens: iterator, first: await iterator.next() };
+      });
+      for (let step = first; !step.done; step = await tokens.next()) yield step.value;
+    }
+  };
+}
+
+/**
+ * Build the provider described by the environment (see the header comment).
+ */
+export function createProvider(env = process.env, { fetchImpl } = {}) {
+  const kind = String(env.LLM_PROVIDER || 'hf').toLowerCase();
+
+  if (kind === 'mock') return createMockProvider({ model: env.LLM_MODEL || undefined });
+
+  let base;
+  if (kind === 'openai') {
+    base = { name: 'openai', baseUrl: env.LLM_BASE_URL, apiKey: env.LLM_API_KEY, model: env.LLM_MODEL };
+  } else {
+    if (kind !== 'hf') console.warn(`⚠️ Unknown LLM_PROVIDER "${env.LLM_PROVIDER}", using the Hugging Face router.`);
+    base = {
+      name: 'hf',
+      baseUrl: env.LLM_BASE_URL || HF_ROUTER_BASE_URL,
+      apiKey: env.HF_API_KEY,
+      model: env.LLM_MODEL || DEFAULT_HF_MODEL,
+      requireKey: true
+    };
+  }
+
+  const models = [base.model, ...String(env.LLM_FALLBACK_MODELS || '').split(',').map(m => m.trim())]
+    .filter((m, i, all) => i === 0 || (m && all.indexOf(m) === i));
+  return createFallbackProvider(models.map(model => createOpenAICompatibleProvider({ ...base, model, fetchImpl })));
+}
@@ -0,0 +1,168 @@
+// Abuse protection for /api/chat: token-bucket rate limits (per client IP and global) and a
+// daily token budget. State is in memory, so on Vercel the limits hold per warm instance.
+//   CHAT_RATE_PER_IP_BURST / CHAT_RATE_PER_IP_PER_MIN   per-IP bucket size and refill (default 8, 6/min)
+//   CHAT_RATE_GLOBAL_BURST / CHAT_RATE_GLOBAL_PER_MIN   shared bucket (default 60, 120/min)
+//   CHAT_DAILY_TOKEN_BUDGET                              estimated model tokens per UTC day (default 300000)
+//   TRUST_PROXY=1                                        take the client IP from X-Forwarded-For (and, in
+//                                                        security.js, the scheme from X-Forwarded-Proto)
+//   TRUST_PROXY_HOPS                                     proxies in front of the app that append to
+//                                                        X-Forwarded-For (default 1)
+
+export const LIMIT_SETTINGS = {
+  perIp: {
+    capacity: Number(process.env.CHAT_RATE_PER_IP_BURST) || 8,
+    refillPerMinute: Number(process.env.CHAT_RATE_PER_IP_PER_MIN) || 6
+  },
+  global: {
+    capacity: Number(process.env.CHAT_RATE_GLOBAL_BURST) || 60,
+    refillPerMinute: Number(process.env.CHAT_RATE_GLOBAL_PER_MIN) || 120
+  },
+  dailyTokenBudget: Number(process.env.CHAT_DAILY_TOKEN_BUDGET) || 300000,
+  trustProxy: process.env.TRUST_PROXY === '1' || Boolean(process.env.VERCEL),
+  proxyHops: Math.max(1, Number(process.env.TRUST_PROXY_HOPS) || 1),
+  maxTrackedKeys: 10000 // clients tracked at once; idle full buckets go first, then the least recently seen
+};
+
+/**
+ * Token buckets keyed by client. take(key) spends one token and returns { allowed, retryAfterMs };
+ * peek(key) answers the same without spending; `size` is the number of clients tracked.
+ */
+export function createTokenBucket({ capacity, refillPerMinute, maxKeys = LIMIT_SETTINGS.maxTrackedKeys }) {
+  const buckets = new Map();
+  const refillPerMs = refillPerMinute / 60000;
+
+  const refill = (bucket, now) => {
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updated) * refillPerMs);
+    bucket.updated = now;
+  };
+
+  // Full buckets carry no state worth keeping. If every client is mid-burst, drop the least
+  // recently seen ones so the map never grows past maxKeys.
+  function prune(now) {
+    for (const [key, bucket] of buckets) {
+      refill(bucket, now);
+      if (bucket.tokens >= capacity) buckets.delete(key);
+    }
+    for (const key of buckets.keys()) {
+      if (buckets.size < maxKeys) break;
+      buckets.delete(key);
+    }
+  }
+
+  // The map is kept in least-recently-seen order: a bucket is re-inserted on every use
+  function bucketFor(key, now) {
+    let bucket = buckets.get(key);
+    if (bucket) {
+      buckets.delete(key);
+    } else {
+      if (buckets.size >= maxKeys) prune(now);
+      bucket = { tokens: capacity, updated: now };
+    }
+    buckets.set(key, bucket);
+    refill(bucket, now);
+    return bucket;
+  }
+
+  function peek(key, now = Date.now()) {
+    const bucket = bucketFor(key, now);
+    if (bucket.tokens >= 1) return { allowed: true, retryAfterMs: 0 };
+    return { allowed: false, retryAfterMs: Math.ceil((1 - bucket.tokens) / refillPerMs) };
+  }
+
+  function take(key, now = Date.now()) {
+    const result = peek(key, now);
+    if (result.allowed) bucketFor(key, now).tokens -= 1;
+    return result;
+  }
+
+  return {
+    peek,
+    take,
+    get size() {
+      return buckets.size;
+    }
+  };
+}
+
+/**
+ * Per-IP and global limits together. check(ip) returns null when allowed, else { scope, retryAfterMs }.
+ * Both buckets are checked before either is charged, so a request the global limit turns away
+ * doesn't also cost the client a token.
+ */
+export function createChatLimiter(settings = LIMIT_SETTINGS) {
+  const perIp = createTokenBucket(settings.perIp);
+  const global = createTokenBucket(settings.global);
+
+  return {
+    check(ip, now = Date.now()) {
+      const key = ip || 'unknown';
+      const client = perIp.peek(key, now);
+      if (!client.allowed) return { scope: 'ip', retryAfterMs: client.retryAfterMs };
+      const shared = global.peek('global', now);
+      if (!shared.allowed) return { scope: 'global', retryAfterMs: shared.retryAfterMs };
+      perIp.take(key, now);
+      global.take('global', now);
+      return null;
+    }
+  };
+}
+
+// Rough token count (~4 characters per token); good enough for a spend ceiling
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Daily token budget that resets at UTC midnight. Once exhausted, chat answers offline.
+ */
+export function createDailyBudget(limit = LIMIT_SETTINGS.dailyTokenBudget) {
+  let day = '';
+  let spent = 0;
+
+  const rollover = now => {
+    const today = new Date(now).toISOString().slice(0, 10);
+    if (today !== day) {
+      day = today;
+      spent = 0;
+    }
+  };
+
+  return {
+    limit,
+    spend(tokens, now = Date.now()) {
+      rollover(now);
+      spent += tokens;
+      if (spent >= limit && spent - tokens < limit) console.warn(`⚠️ Daily token budget (${limit}) exhausted; chat is offline until UTC midnight`);
+    },
+    exhausted(now = Date.now()) {
+      rollover(now);
+      return spent >= limit;
+    },
+    used(now = Date.now()) {
+      rollover(now);
+      return spent;
+    }
+  };
+}
+
+/**
+ * The client's address. Behind a trusted proxy it comes from X-Forwarded-For, counted from the
+ * right: each of the `hops` proxies appends the address it saw, and anything further left was
+ * sent by the client and can be forged.
+ */
+export function clientIp(req, { trustProxy = LIMIT_SETTINGS.trustProxy, hops = LIMIT_SETTINGS.proxyHops } = {}) {
+  const chain = trustProxy ? String(req.headers['x-forwarded-for'] || '').split(',').map(ip => ip.trim()).filter(Boolean) : [];
+  const forwarded = chain[Math.max(0, chain.length - hops)];
+  return forwarded || req.socket?.remoteAddress || 'unknown';
+}
+
+// Shared by both entrypoints: answers 429 (with Retry-After) and returns true when over a limit
+export function rejectIfLimited(limiter, req, res) {
+  const limited = limiter.check(clientIp(req));
+  if (!limited) return false;
+  const retryAfter = Math.max(1, Math.ceil(limited.retryAfterMs / 1000));
+  console.warn(`Rate limited (${limited.scope}) ${clientIp(req)} for ${retryAfter}s`);
+  res.setHeader('Retry-After', String(retryAfter));
+  res.status(429).json({ error: 'Too many requests', scope: limited.scope, retryAfter });
+  return true;
+}
@@ -0,0 +1,172 @@
+// GET /api/resume (plus /api/resume.json and /api/resume/download) and POST /api/resume/reload for both entrypoints (server/index.js and
+// api/resume.js). The response shape is the versioned contract in js/resume-contract.js, which
+// the page validates against.
+//   RESUME_ADMIN_TOKEN   bearer token for POST /api/resume/reload (the route is disabled without it)
+import crypto from 'crypto';
+import { loadResume, invalidateResumeCache, FALLBACK_RESUME_JSON } from './resume-loader.js';
+// Shared with the page; a UMD file, so it loads as CommonJS
+import resumeContract from '../../js/resume-contract.js';
+import { toJsonResume } from './json-resume.js';
+import { DOWNLOAD_FORMATS, renderResume } from './resume-render.js';
+
+export const { RESUME_CONTRACT_VERSION, RESUME_SCHEMA, resumeToText } = resumeContract;
+
+function envelope(resume, sources, generatedAt, extra = {}) {
+  return { version: RESUME_CONTRACT_VERSION, generatedAt, sources, ...extra, resume };
+}
+
+// If-None-Match / If-Modified-Since against the current version (If-None-Match wins when sent)
+function notModified({ ifNoneMatch, ifModifiedSince }, etag, lastModified) {
+  if (ifNoneMatch) return ifNoneMatch.split(',').map(t => t.trim().replace(/^W\//, '')).some(t => t === etag || t === '*');
+  const since = Date.parse(ifModifiedSince || '');
+  return !Number.isNaN(since) && lastModified <= since;
+}
+
+// Response formats: how the envelope is rendered, and the suffix that keeps their ETags apart.
+// `lastModified` is the newest source mtime (ms), when the resume was loaded.
+const FORMATS = {
+  json: { type: 'json', tag: '', render: body => body },
+  text: { type: 'text', tag: '-text', render: body => resumeToText(body.resume) },
+  jsonresume: {
+    type: 'json',
+    tag: '-jsonresume',
+    render: (body, lastModified) => toJsonResume(body.resume, { lastModified: lastModified ? new Date(lastModified).toISOString() : undefined })
+  }
+};
+
+/**
+ * Resume in the requested format ('json', 'text' or 'jsonresume'). `conditional` carries the
+ * request's If-None-Match / If-Modified-Since headers. Returns { status, type, body, headers } where
+ * `type` is 'json', 'text' or 'empty' (304). A failed parse still answers with the fallback resume (500).
+ */
+export async function getResumeResponse({ format = 'json', ...conditional } = {}) {
+  const output = Object.hasOwn(FORMATS, format) ? FORMATS[format] : null;
+  if (!output) {
+    const known = Object.keys(FORMATS).map(f => `'${f}'`).join(', ');
+    return { status: 400, type: 'json', body: { error: `Unknown format (use ${known})` }, headers: {} };
+  }
+  let loaded;
+  try {
+    loaded = await loadResume();
+  } catch (err) {
+    console.error('Resume load error:', err);
+    const body = envelope({ ...FALLBACK_RESUME_JSON }, [], new Date().toISOString(), { error: 'Failed to load; using fallback' });
+    return { status: 500, type: output.type, body: output.render(body), headers: { 'Cache-Control': 'no-store' } };
+  }
+
+  // The contract version is part of the tag so a contract change never revalidates an old body
+  const etag = `"v${RESUME_CONTRACT_VERSION}-${loaded.etag}${output.tag}"`;
+  const headers = {
+    ETag: etag,
+    'Last-Modified': new Date(loaded.lastModified).toUTCString(),
+    'Cache-Control': 'no-cache' // always revalidate; unchanged resumes cost a 304
+  };
+  if (notModified(conditional, etag, loaded.lastModified)) return { status: 304, type: 'empty', body: null, headers };
+
+  const body = envelope(loaded.resume, loaded.sources, loaded.generatedAt);
+  return { status: 200, type: output.type, body: output.render(body, loaded.lastModified), headers };
+}
+
+let rendered = { source: null, files: new Map() };
+
+// Rendered files for the current parse, so a PDF is built once per resume change, not per download
+function renderedFile(loaded, format) {
+  if (rendered.source !== loaded) rendered = { source: loaded, files: new Map() };
+  if (!rendered.files.has(format)) rendered.files.set(format, renderResume(loaded.resume, format));
+  return rendered.files.get(format);
+}
+
+// Content-Disposition with an ASCII fallback name and the UTF-8 one
+function attachment(filename) {
+  const ascii = filename.normalize('NFKD').replace(/[^\x20-\x7e]/g, '').replace(/["\\]/g, '');
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+/**
+ * GET /api/resume/download: the resume rendered as 'pdf', 'txt' or 'html' (lib/resume-render.js),
+ * revalidated like GET /api/resume. Returns { status, type, body, headers } with type 'file'.
+ */
+export async function downloadResumeResponse({ format = 'pdf', ...conditional } = {}) {
+  if (!Object.hasOwn(DOWNLOAD_FORMATS, format)) {
+    const known = Object.keys(DOWNLOAD_FORMATS).map(f => `'${f}'`).join(', ');
+    return { status: 400, type: 'json', body: { error: `Unknown format (use ${known})` }, headers: {} };
+  }
+  let loaded;
+  try {
+    loaded = await loadResume();
+  } catch (err) {
+    console.error('Resume load error:', err);
+    return { status: 503, type: 'json', body: { error: 'Resume unavailable' }, headers: { 'Cache-Control': 'no-store' } };
+  }
+
+  const etag = `"v${RESUME_CONTRACT_VERSION}-${loaded.etag}-${format}"`;
+  const headers = {
+    ETag: etag,
+    'Last-Modified': new Date(loaded.lastModified).toUTCString(),
+    'Cache-Control': 'no-cache'
+  };
+  if (notModified(conditional, etag, loaded.lastModified)) return { status: 304, type: 'empty', body: null, headers };
+
+  const file = renderedFile(loaded, format);
+  return {
+    status: 200,
+    type: 'file',
+    body: file.body,
+    headers: { ...headers, 'Content-Type': file.contentType, 'Content-Disposition': attachment(file.filename) }
+  };
+}
+
+function tokenMatches(header, token) {
+  const given = Buffer.from(String(header || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * POST /api/resume/reload: drop the cache and re-parse now. Needs `Authorization: Bearer <token>`
+ * matching RESUME_ADMIN_TOKEN. Returns { status, type, body, headers }.
+ */
+export async function reloadResumeResponse(authorization, { token = process.env.RESUME_ADMIN_TOKEN } = {}) {
+  if (!token) return { status: 404, type: 'json', body: { error: 'Not found' }, headers: {} };
+  if (!tokenMatches(authorization, token)) {
+    console.warn('Rejected resume reload with a bad token');
+    return { status: 401, type: 'json', body: { error: 'Unauthorized' }, headers: { 'WWW-Authenticate': 'Bearer' } };
+  }
+  invalidateResumeCache();
+  try {
+    const loaded = await loadResume();
+    console.log(`🔄 Resume reloaded from ${loaded.sources.join(' + ') || 'fallback'}`);
+    const body = { reloaded: true, version: RESUME_CONTRACT_VERSION, generatedAt: loaded.generatedAt, sources: loaded.sources, etag: loaded.etag };
+    return { status: 200, type: 'json', body, headers: { 'Cache-Control': 'no-store' } };
+  } catch (err) {
+    console.error('Resume reload failed:', err);
+    return { status: 500, type: 'json', body: { error: 'Reload failed' }, headers: { 'Cache-Control': 'no-store' } };
+  }
+}
+
+/**
+ * Build a response with `respond()` and write it with sendResume. Whatever it throws (a render
+ * failure, say) is logged and answered with a 500 JSON error instead of an unhandled rejection.
+ */
+export async function respondWithResume(res, respond) {
+  let result;
+  try {
+    result = await respond();
+  } catch (err) {
+    console.error('Resume request failed:', err);
+    result = { status: 500, type: 'json', body: { error: 'Resume request failed' }, headers: { 'Cache-Control': 'no-store' } };
+  }
+  return sendResume(res, result);
+}
+
+// Express-style response writer for getResumeResponse / downloadResumeResponse / reloadResumeResponse results
+export function sendResume(res, { status, type, body, headers = {} }) {
+  Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+  if (type === 'empty') return res.status(status).end();
+  if (type === 'file') return res.status(status).send(body);
+  if (type === 'text') {
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    return res.status(status).send(body);
+  }
+  return res.status(status).json(body);
+}
@@ -0,0 +1,241 @@
+// Loads the resume from the checked-in PDF and the portfolio page: index.html plus
+// content/portfolio.json, the file the page's cards are rendered from. The content file is the
+// source of truth for the sections it defines; elsewhere the PDF is primary.
+// Shared by /api/resume and the chat retrieval index. The parsed result is cached in memory and
+// keyed by the source files' mtime and size, so it is only re-parsed when a file changes.
+//   RESUME_CACHE_FILE   optional JSON file the parsed resume is also cached in (survives restarts)
+//   RESUME_WATCH=0      don't watch the source files in development (see watchResumeSources)
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseResumeToJson, parsePortfolioHtml, parsePortfolioContent, mergeResumeSources, emptyResume, PAGE_BREAK } from './resume-parser.js';
+import { PORTFOLIO_CONTENT_PATH, PORTFOLIO_SECTIONS, readPortfolioContent } from './portfolio-content.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const ROOT_DIR = path.join(__dirname, '..', '..');
+export const RESUME_PDF_PATH = path.join(ROOT_DIR, 'Athar-Sayed-Resume.pdf');
+export const PORTFOLIO_HTML_PATH = path.join(ROOT_DIR, 'index.html');
+
+// Minimal fallback JSON
+export const FALLBACK_RESUME_JSON = {
+  name: "Athar Sayed",
+  summary: "AI/ML Engineer who completed an M.Tech in Artificial Intelligence at NMIMS in 2026. Expertise in Python, C++, TensorFlow, real-time systems, and production deployment.",
+  education: [],
+  experience: [],
+  projects: [],
+  skills: [],
+  certifications: [],
+  publications: [],
+  achievements: []
+};
+
+// Same text layout as pdf-parse's default renderer, prefixed with PAGE_BREAK per page
+// so the parser can tell which page an entry came from.
+function renderPage(pageData) {
+  return pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+    .then(textContent => {
+      let lastY;
+      let text = '';
+      for (const item of textContent.items) {
+        text += (lastY === item.transform[5] || !lastY) ? item.str : `\n${item.str}`;
+        lastY = item.transform[5];
+      }
+      return `${PAGE_BREAK}${text}`;
+    });
+}
+
+/**
+ * Text of a PDF as parseResumeToJson expects it: pdf-parse's line layout, PAGE_BREAK before each page.
+ */
+export async function readPdfText(filePath = RESUME_PDF_PATH) {
+  const pdfParse = await import('pdf-parse');
+  const parsed = await pdfParse.default(fs.readFileSync(filePath), { pagerender: renderPage });
+  return String(parsed.text || '');
+}
+
+/**
+ * Parse both sources and merge them, bypassing the cache. Resolves to { resume, sources }.
+ * Throws on parse failures; callers decide whether to fall back.
+ */
+export async function parseResume() {
+  let resume = { ...FALLBACK_RESUME_JSON };
+  let pdfJson = emptyResume();
+  let portfolioJson = emptyResume();
+  const sources = [];
+
+  // 1. PDF parsing — keep raw line breaks, the parser relies on them
+  if (fs.existsSync(RESUME_PDF_PATH)) {
+    const rawText = await readPdfText(RESUME_PDF_PATH);
+    if (rawText.replace(/\s+/g, ' ').trim().length > 200) {
+      pdfJson = parseResumeToJson(rawText);
+      sources.push('PDF');
+    }
+  }
+
+  // 2. Portfolio supplement: the page's own text, and its cards straight from the content file
+  // (both count as the contract's 'Portfolio HTML' source)
+  if (fs.existsSync(PORTFOLIO_HTML_PATH)) {
+    const htmlContent = fs.readFileSync(PORTFOLIO_HTML_PATH, 'utf8');
+    portfolioJson = parsePortfolioHtml(htmlContent);
+    sources.push('Portfolio HTML');
+  }
+  const content = readPortfolioContent();
+  if (content) {
+    const fromContent = parsePortfolioContent(content);
+    PORTFOLIO_SECTIONS.forEach(key => { portfolioJson[key] = fromContent[key]; });
+    if (!sources.includes('Portfolio HTML')) sources.push('Portfolio HTML');
+  }
+
+  if (sources.length) {
+    // The content file is the source of truth for the sections it defines
+    const merged = mergeResumeSources(pdfJson, portfolioJson, { authoritative: content ? PORTFOLIO_SECTIONS : [] });
+    resume = {
+      ...merged,
+      name: merged.name || resume.name,
+      summary: merged.summary || resume.summary
+    };
+  }
+
+  // Ensure all arrays
+  ['education', 'experience', 'projects', 'skills', 'certifications', 'publications', 'achievements'].forEach(k => {
+    resume[k] = Array.isArray(resume[k]) ? resume[k] : [];
+  });
+
+  return { resume, sources };
+}
+
+export const RESUME_CACHE_SETTINGS = {
+  filePath: process.env.RESUME_CACHE_FILE || '',
+  watch: process.env.RESUME_WATCH !== '0' && process.env.NODE_ENV !== 'production',
+  watchDebounceMs: 200
+};
+
+let cached = null;   // { key, resume, sources, etag, lastModified, generatedAt }
+let pending = null;  // in-flight parse, shared by concurrent callers
+
+// Cache key from the sources' mtime and size; lastModified is the newest mtime
+function fingerprint() {
+  let lastModified = 0;
+  const key = [RESUME_PDF_PATH, PORTFOLIO_HTML_PATH, PORTFOLIO_CONTENT_PATH].map(file => {
+    try {
+      const stat = fs.statSync(file);
+      lastModified = Math.max(lastModified, stat.mtimeMs);
+      return `${stat.mtimeMs}:${stat.size}`;
+    } catch (err) {
+      return 'missing';
+    }
+  }).join('|');
+  return { key, lastModified: Math.floor(lastModified / 1000) * 1000 };
+}
+
+function readDiskCache(key) {
+  const { filePath } = RESUME_CACHE_SETTINGS;
+  if (!filePath || !fs.existsSync(filePath)) return null;
+  try {
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return saved?.key === key && saved.resume ? saved : null;
+  } catch (err) {
+    console.error('Resume cache file unreadable, re-parsing:', err.message);
+    return null;
+  }
+}
+
+function writeDiskCache(entry) {
+  const { filePath } = RESUME_CACHE_SETTINGS;
+  if (!filePath) return;
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(entry));
+  } catch (err) {
+    console.error('Failed to save the resume cache:', err.message);
+  }
+}
+
+/**
+ * Cached loadResume: resolves to { resume, sources, etag, lastModified, generatedAt } and returns
+ * the same object until a source file changes or invalidateResumeCache() is called, so callers can
+ * tell a fresh parse by identity. `etag` hashes the parsed resume; `lastModified` is the newest
+ * source mtime (ms).
+ */
+export async function loadResume() {
+  const { key, lastModified } = fingerprint();
+  if (cached && cached.key === key) return cached;
+  if (pending && pending.key === key) return pending.promise;
+
+  const promise = (async () => {
+    const fromDisk = readDiskCache(key);
+    const { resume, sources } = fromDisk || await parseResume();
+    const entry = {
+      key,
+      resume,
+      sources,
+      etag: fromDisk?.etag || crypto.createHash('sha1').update(JSON.stringify({ resume, sources })).digest('hex').slice(0, 16),
+      lastModified,
+      generatedAt: fromDisk?.generatedAt || new Date().toISOString()
+    };
+    if (!fromDisk) writeDiskCache(entry);
+    cached = entry;
+    return entry;
+  })();
+  pending = { key, promise };
+  try {
+    return await promise;
+  } finally {
+    if (pending?.promise === promise) pending = null;
+  }
+}
+
+/**
+ * Drop the cached resume (memory and disk) so the next loadResume() re-parses the sources.
+ */
+export function invalidateResumeCache() {
+  cached = null;
+  pending = null;
+  const { filePath } = RESUME_CACHE_SETTINGS;
+  if (filePath && fs.existsSync(filePath)) {
+    try {
+      fs.unlinkSync(filePath);
+    } catch (err) {
+      console.error('Failed to remove the resume cache:', err.message);
+    }
+  }
+}
+
+/**
+ * Development helper: re-parse as soon as the PDF, index.html or the content file is saved instead
+ * of on the next request. Returns a function that stops watching. No-op when RESUME_WATCH=0 or in
+ * production.
+ */
+export function watchResumeSources({ enabled = RESUME_CACHE_SETTINGS.watch, debounceMs = RESUME_CACHE_SETTINGS.watchDebounceMs } = {}) {
+  if (!enabled) return () => {};
+  let timer = null;
+  // Watch the directories: editors often replace the file on save, which ends a watch on the file itself
+  const dirs = new Map();
+  [RESUME_PDF_PATH, PORTFOLIO_HTML_PATH, PORTFOLIO_CONTENT_PATH].forEach(file => {
+    const dir = path.dirname(file);
+    if (!dirs.has(dir)) dirs.set(dir, new Set());
+    dirs.get(dir).add(path.basename(file));
+  });
+  const watchers = Array.from(dirs, ([dir, names]) => {
+    if (!fs.existsSync(dir)) return null;
+    const watcher = fs.watch(dir, { persistent: false }, (event, name) => {
+      if (!names.has(name)) return;
+      clearTimeout(timer);
+      // Saves come in bursts (truncate, write, rename); parse once they are done
+      timer = setTimeout(() => {
+        console.log(`🔄 ${name} changed, re-parsing the resume`);
+        invalidateResumeCache();
+        loadResume().catch(err => console.error('Resume re-parse failed:', err.message));
+      }, debounceMs);
+      timer.unref?.();
+    });
+    watcher.on('error', err => console.error('Stopped watching the resume sources:', err.message));
+    return watcher;
+  }).filter(Boolean);
+  return () => {
+    clearTimeout(timer);
+    watchers.forEach(watcher => watcher.close());
+  };
+}
@@ -0,0 +1,488 @@
+// Structured extraction for the resume PDF text, the portfolio HTML and the portfolio content
+// file (content/portfolio.json). All three produce the same schema so /api/resume can merge them.
+import * as cheerio from 'cheerio';
+
+const BULLET = /^[●•▪◦\-*]\s*/;
+const MONTH = '(?:Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)';
+const DATE_RANGE = new RegExp(`^(?:${MONTH}\\s+)?\\d{4}\\s*[-–—]\\s*(?:(?:${MONTH}\\s+)?\\d{4}|Present|Current)$`, 'i');
+const YEAR = /^\d{4}$/;
+
+// Page separator the resume loader puts in front of each rendered PDF page
+export const PAGE_BREAK = '\f';
+
+// PDF section headings mapped to schema keys
+const SECTION_HEADINGS = [
+  [/^PROFESSIONAL SUMMARY$|^SUMMARY$|^PROFILE$/, 'summary'],
+  [/^TECHNICAL SKILLS$|^SKILLS$/, 'skills'],
+  [/^EDUCATION$/, 'education'],
+  [/^(PROFESSIONAL |WORK )?EXPERIENCE$/, 'experience'],
+  [/^PROJECTS$/, 'projects'],
+  [/^CERTIFICATIONS?$/, 'certifications'],
+  [/^PUBLICATIONS?$/, 'publications'],
+  [/^(ACHIEVEMENTS|AWARDS|EXTRA[- ]?CURRICULAR.*)$/, 'achievements']
+];
+
+export function emptyResume() {
+  return {
+    name: '',
+    summary: '',
+    contact: { email: '', profiles: [] },
+    education: [],
+    experience: [],
+    projects: [],
+    skills: [],
+    certifications: [],
+    publications: [],
+    achievements: []
+  };
+}
+
+function clean(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Split a pdf-parse line into visual columns (wide gaps separate left text from right-aligned dates)
+function columns(line) {
+  return line.trim().split(/\s{3,}/).map(clean).filter(Boolean);
+}
+
+function headingFor(line) {
+  const text = clean(line).toUpperCase();
+  if (!text || text.length > 40) return null;
+  const hit = SECTION_HEADINGS.find(([re]) => re.test(text));
+  return hit ? hit[1] : null;
+}
+
+// Group the lines of one section into blocks: plain header lines and bullets
+// with their wrapped continuation lines folded in.
+function toBlocks(lines, isHeader) {
+  const blocks = [];
+  lines.forEach((raw, i) => {
+    const text = raw.trim();
+    if (!text) return;
+    if (BULLET.test(text)) {
+      blocks.push({ type: 'bullet', cols: columns(text.replace(BULLET, '')) });
+      return;
+    }
+    const last = blocks[blocks.length - 1];
+    if (isHeader(lines, i)) {
+      blocks.push({ type: 'header', cols: columns(text) });
+    } else if (last) {
+      // Continuation of the previous block (wrapped line or a column that spilled onto its own line)
+      const cols = columns(text);
+      if (cols.length === 1 && (YEAR.test(cols[0]) || DATE_RANGE.test(cols[0]))) {
+        last.cols.push(cols[0]);
+      } else if (last.cols.length) {
+        last.cols[0] = clean(`${last.cols[0]} ${cols.join(' ')}`);
+      } else {
+        last.cols = cols;
+      }
+    } else {
+      blocks.push({ type: 'header', cols: columns(text) });
+    }
+  });
+  return blocks.filter(b => b.cols.length);
+}
+
+// Pull a trailing date/year column off a column list
+function splitDate(cols) {
+  const rest = cols.slice();
+  let dates = '';
+  while (rest.length > 1 && (DATE_RANGE.test(rest[rest.length - 1]) || YEAR.test(rest[rest.length - 1]))) {
+    dates = clean(rest.pop()).replace(/\s*[-–—]\s*/, ' - ');
+  }
+  return { text: rest.join(' '), dates };
+}
+
+function nextText(lines, i) {
+  for (let j = i + 1; j < lines.length; j++) {
+    if (lines[j].trim()) return lines[j].trim();
+  }
+  return '';
+}
+
+function isDateOnly(line) {
+  const cols = columns(line);
+  return cols.length === 1 && (YEAR.test(cols[0]) || DATE_RANGE.test(cols[0]));
+}
+
+function hasDateColumn(line) {
+  const cols = columns(line);
+  const last = cols[cols.length - 1] || '';
+  return cols.length > 1 && (YEAR.test(last) || DATE_RANGE.test(last));
+}
+
+function parseSkillsSection(lines) {
+  const blocks = toBlocks(lines, () => false);
+  return blocks.map(b => {
+    const text = b.cols.join(' ');
+    const idx = text.indexOf(':');
+    if (idx === -1) return { category: 'General', items: splitList(text) };
+    return { category: clean(text.slice(0, idx)), items: splitList(text.slice(idx + 1)) };
+  }).filter(g => g.items.length);
+}
+
+function splitList(text) {
+  return String(text || '').split(/\s*[|,;]\s*/).map(clean).filter(Boolean);
+}
+
+function parseEducationSection(lines) {
+  const entries = [];
+  toBlocks(lines, (ls, i) => hasDateColumn(ls[i])).forEach(b => {
+    if (b.type === 'header') {
+      const { text, dates } = splitDate(b.cols);
+      entries.push({ institution: text, degree: '', dates, grade: '', details: [] });
+      return;
+    }
+    const entry = entries[entries.length - 1];
+    if (!entry) return;
+    let text = b.cols.join(' ');
+    const grade = text.match(/\(?\s*(?:CGPA|GPA)\s*:?\s*([\d.]+\s*\/\s*\d+)\s*\)?/i);
+    if (grade) {
+      entry.grade = grade[1].replace(/\s+/g, '');
+      text = clean(text.replace(grade[0], ''));
+    }
+    if (!text) return;
+    if (!entry.degree) entry.degree = text;
+    else entry.details.push(text);
+  });
+  return entries;
+}
+
+function parseExperienceSection(lines) {
+  // Role lines carry the date column; the line right above a role line names the company
+  const isRole = (ls, i) => !BULLET.test(ls[i].trim()) && hasDateColumn(ls[i]);
+  const isCompany = (ls, i) => {
+    if (BULLET.test(ls[i].trim()) || hasDateColumn(ls[i])) return false;
+    const next = nextText(ls, i);
+    return !!next && !BULLET.test(next) && hasDateColumn(next);
+  };
+
+  const entries = [];
+  let company = null;
+  toBlocks(lines, (ls, i) => isRole(ls, i) || isCompany(ls, i)).forEach(b => {
+    if (b.type === 'header') {
+      const { text, dates } = splitDate(b.cols);
+      if (!dates) {
+        const [name, ...location] = text.split(',').map(clean);
+        company = { name, location: location.join(', ') };
+        return;
+      }
+      entries.push({
+        role: text,
+        company: company ? company.name : '',
+        location: company ? company.location : '',
+        dates,
+        details: []
+      });
+      return;
+    }
+    const entry = entries[entries.length - 1];
+    if (entry) entry.details.push(b.cols.join(' '));
+  });
+  return entries;
+}
+
+function parseProjectsSection(lines) {
+  const isTitle = (ls, i) => {
+    const text = ls[i].trim();
+    if (BULLET.test(text) || isDateOnly(ls[i])) return false;
+    return hasDateColumn(ls[i]) || isDateOnly(nextText(ls, i));
+  };
+
+  const entries = [];
+  toBlocks(lines, isTitle).forEach(b => {
+    if (b.type === 'header') {
+      const { text, dates } = splitDate(b.cols);
+      const links = [];
+      const name = clean(text.replace(/\((Live|Code|Demo|Link)\)/gi, (m, label) => {
+        links.push({ label, url: '' });
+        return '';
+      }));
+      entries.push({ name, dates, tags: [], details: [], links });
+      return;
+    }
+    const entry = entries[entries.length - 1];
+    if (entry) entry.details.push(b.cols.join(' '));
+  });
+  return entries;
+}
+
+function parseCertificationsSection(lines) {
+  return toBlocks(lines, () => false).map(b => {
+    const { text, dates } = splitDate(b.cols);
+    const idx = text.lastIndexOf(' - ');
+    return {
+      title: idx === -1 ? text : clean(text.slice(0, idx)),
+      issuer: idx === -1 ? '' : clean(text.slice(idx + 3)),
+      year: dates
+    };
+  }).filter(c => c.title);
+}
+
+function parsePublicationsSection(lines) {
+  return toBlocks(lines, () => false).map(b => {
+    const { text, dates } = splitDate(b.cols);
+    const idx = text.lastIndexOf(' - ');
+    const title = idx === -1 ? text : clean(text.slice(0, idx));
+    const [venue = '', date = ''] = idx === -1 ? [] : text.slice(idx + 3).split('·').map(clean);
+    return { title, venue, date, year: dates, authors: '', abstract: '', links: [] };
+  }).filter(p => p.title);
+}
+
+function pageKey(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Record which resume page each entry sits on, when the text carries PAGE_BREAK markers
+function assignPages(resume, rawText) {
+  if (!rawText.includes(PAGE_BREAK)) return;
+  const pages = rawText.split(PAGE_BREAK).slice(1).map(pageKey);
+  const locate = text => {
+    const key = pageKey(text).slice(0, 30);
+    const idx = key ? pages.findIndex(p => p.includes(key)) : -1;
+    return idx === -1 ? null : idx + 1;
+  };
+  resume.education.forEach(e => { e.page = locate(e.institution); });
+  resume.experience.forEach(e => { e.page = locate(e.role); });
+  resume.projects.forEach(p => { p.page = locate(p.name); });
+  resume.certifications.forEach(c => { c.page = locate(c.title); });
+  resume.publications.forEach(p => { p.page = locate(p.title); });
+}
+
+/**
+ * Parse pdf-parse text output into the resume schema.
+ * Expects the raw text (line breaks intact) — column gaps are used to find dates.
+ */
+export function parseResumeToJson(rawText) {
+  const resume = emptyResume();
+  const lines = String(rawText || '').replace(/\r\n?/g, '\n').split('\n');
+
+  const sections = { header: [] };
+  let current = 'header';
+  lines.forEach(line => {
+    const key = headingFor(line);
+    if (key) {
+      current = key;
+      sections[current] = sections[current] || [];
+      return;
+    }
+    sections[current].push(line);
+  });
+
+  // Name is the first all-caps line of the header block
+  const nameLine = sections.header.map(clean).find(l => /^[A-Z][A-Z .'-]+$/.test(l) && l.split(' ').length <= 4);
+  if (nameLine) resume.name = nameLine.toLowerCase().replace(/\b\w/g, c => c.toUpperCase());
+  const email = sections.header.join(' ').match(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/);
+  if (email) resume.contact.email = email[0];
+
+  resume.summary = clean((sections.summary || []).join(' '));
+  resume.skills = parseSkillsSection(sections.skills || []);
+  resume.education = parseEducationSection(sections.education || []);
+  resume.experience = parseExperienceSection(sections.experience || []);
+  resume.projects = parseProjectsSection(sections.projects || []);
+  resume.certifications = parseCertificationsSection(sections.certifications || []);
+  resume.publications = parsePublicationsSection(sections.publications || []);
+  resume.achievements = toBlocks(sections.achievements || [], () => false).map(b => b.cols.join(' '));
+  assignPages(resume, String(rawText || ''));
+  return resume;
+}
+
+/**
+ * Parse the hand-written parts of the portfolio page (index.html) into the resume schema: name,
+ * summary, contact, education and achievements. The card sections come from the content file
+ * (parsePortfolioContent). Entries keep the heading of their card (`cardTitle`) so citations can
+ * point back at it.
+ */
+export function parsePortfolioHtml(html) {
+  const $ = cheerio.load(String(html || ''));
+  const resume = emptyResume();
+
+  resume.name = clean($('header .logo').first().text());
+  resume.summary = $('#about .about-intro-card p').toArray()
+    .map(p => clean($(p).text()))
+    .filter(t => t && !/^Hi, I'm/i.test(t))
+    .join(' ');
+
+  // Email and profile links from the about section's social and coding buttons
+  $('#about .social-links a[href], #about .profile-links a[href]').each((_, a) => {
+    const href = $(a).attr('href');
+    if (href.startsWith('mailto:')) {
+      resume.contact.email = resume.contact.email || href.slice('mailto:'.length);
+    } else if (/^https?:\/\//.test(href)) {
+      resume.contact.profiles.push({ network: clean($(a).attr('aria-label') || $(a).find('.sr-only').text() || $(a).text()), url: href });
+    }
+  });
+
+  resume.education = $('#about .edu-card').toArray().map(card => ({
+    cardTitle: clean($(card).find('h4').text()),
+    institution: clean($(card).find('.edu-university').text()),
+    degree: clean($(card).find('h4').text()),
+    dates: clean($(card).find('.edu-duration').text()),
+    grade: clean($(card).find('.edu-cgpa strong').text()).replace(/\s+/g, ''),
+    details: []
+  }));
+
+  resume.achievements = [
+    ...$('#achievements .achievement-card').toArray().map(card => clean(`${$(card).find('h3').text()} ${$(card).find('p').text()}`)),
+    ...$('#achievements .award-card').toArray().map(card => clean($(card).find('h4').text()))
+  ].filter(Boolean);
+
+  return resume;
+}
+
+const plain = text => clean(String(text || '').replace(/\*\*([^*]+)\*\*/g, '$1'));
+
+/**
+ * Map content/portfolio.json (the data the page's project, experience, publication, skill and
+ * certification cards are rendered from) into the resume schema.
+ */
+export function parsePortfolioContent(content) {
+  const resume = emptyResume();
+  const c = content || {};
+  const links = list => (list || []).map(l => ({ label: clean(l.label), url: l.url })).filter(l => l.url);
+
+  resume.experience = (c.experience || []).map(e => ({
+    cardTitle: clean(e.role),
+    role: clean(e.role),
+    company: clean(e.company),
+    location: clean(e.location),
+    dates: clean(e.dates),
+    details: (e.details || []).map(plain).filter(Boolean)
+  }));
+
+  resume.projects = (c.projects || []).map(p => ({
+    cardTitle: clean(p.title),
+    name: clean(p.title),
+    dates: clean(p.dates),
+    tags: (p.tags || []).map(clean),
+    details: (p.details || []).map(plain).filter(Boolean),
+    links: links(p.links)
+  }));
+
+  resume.skills = (c.skills || []).map(s => ({
+    cardTitle: clean(s.category),
+    category: clean(s.category),
+    items: (s.items || []).flatMap(splitList)
+  })).filter(g => g.category && g.items.length);
+
+  resume.certifications = (c.certifications || []).map(cert => ({
+    cardTitle: clean(cert.title),
+    title: clean(cert.title),
+    issuer: clean(cert.issuer),
+    year: clean(cert.year)
+  }));
+
+  resume.publications = (c.publications || []).map(p => {
+    const badge = clean(p.badge);
+    const year = (badge.match(/\b\d{4}\b/) || [''])[0];
+    return {
+      cardTitle: clean(p.title),
+      title: clean(p.title),
+      venue: clean(p.journal) || clean(badge.replace(year, '')),
+      date: clean(p.published),
+      year,
+      authors: clean(p.authors),
+      abstract: clean(p.abstract),
+      links: links(p.links)
+    };
+  });
+
+  return resume;
+}
+
+// Dedupe keys: names are compared on their leading title ("IntelliTube – ..." == "IntelliTube: ...")
+function titleKey(text) {
+  return clean(text).split(/\s[:–—-]\s|:\s/)[0].toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function experienceKey(e) {
+  const start = (e.dates || '').match(new RegExp(`(${MONTH})?\\s*(\\d{4})`, 'i')) || [];
+  return `${titleKey(e.company)}|${(start[1] || '').slice(0, 3).toLowerCase()}${start[2] || ''}`;
+}
+
+// Copy the fields `target` lacks from `source`
+function fillBlanks(target, source) {
+  Object.keys(source || {}).forEach(k => {
+    const empty = target[k] === undefined || target[k] === '' || (Array.isArray(target[k]) && !target[k].length);
+    if (empty) target[k] = source[k];
+  });
+  return target;
+}
+
+function mergeList(primary, secondary, keyFn) {
+  const out = primary.map(item => ({ ...item }));
+  const index = new Map(out.map((item, i) => [keyFn(item), i]));
+  secondary.forEach(item => {
+    const key = keyFn(item);
+    if (!index.has(key)) {
+      index.set(key, out.length);
+      out.push({ ...item });
+      return;
+    }
+    // Keep the primary entry, filling in anything it lacks
+    fillBlanks(out[index.get(key)], item);
+  });
+  return out;
+}
+
+// The authoritative list as it is, with each entry's blanks (a page, a location) filled from the
+// matching supplement entry. Supplement-only entries are left out.
+function fillFrom(authoritative, supplement, keyFn) {
+  const matches = new Map(supplement.map(item => [keyFn(item), item]));
+  return authoritative.map(item => fillBlanks({ ...item }, matches.get(keyFn(item))));
+}
+
+// Case, spacing and punctuation don't make a different skill ("Node.js" == "NodeJS")
+const skillKey = item => clean(item).toLowerCase().replace(/[^a-z0-9+#]/g, '');
+
+// Each skill listed once, under the first category that has it; categories left empty are dropped
+function dedupeSkills(skills) {
+  const seen = new Set();
+  return skills.map(group => ({
+    ...group,
+    items: group.items.filter(item => {
+      const key = skillKey(item);
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+  })).filter(group => group.items.length);
+}
+
+const MERGE_KEYS = {
+  education: e => titleKey(e.degree).slice(0, 5),
+  experience: experienceKey,
+  projects: p => titleKey(p.name),
+  skills: s => titleKey(s.category),
+  certifications: c => titleKey(c.title),
+  publications: p => titleKey(p.title)
+};
+
+/**
+ * Merge the PDF extraction with the portfolio extraction. The PDF is primary, except in the
+ * `authoritative` sections (the ones content/portfolio.json defines): there the site's entries,
+ * order and wording win and the PDF only fills in fields they lack, so the resume served and
+ * downloaded matches the page.
+ */
+export function mergeResumeSources(pdf = emptyResume(), portfolio = emptyResume(), { authoritative = [] } = {}) {
+  const section = key => (authoritative.includes(key) && portfolio[key].length
+    ? fillFrom(portfolio[key], pdf[key], MERGE_KEYS[key])
+    : mergeList(pdf[key], portfolio[key], MERGE_KEYS[key]));
+
+  return {
+    name: pdf.name || portfolio.name,
+    summary: portfolio.summary || pdf.summary,
+    contact: {
+      email: pdf.contact.email || portfolio.contact.email,
+      profiles: mergeList(pdf.contact.profiles, portfolio.contact.profiles, p => titleKey(p.network))
+    },
+    education: section('education'),
+    experience: section('experience'),
+    projects: section('projects'),
+    skills: dedupeSkills(section('skills')),
+    certifications: section('certifications'),
+    publications: section('publications'),
+    achievements: Array.from(new Set([...pdf.achievements, ...portfolio.achievements]))
+  };
+}
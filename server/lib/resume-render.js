@@ -0,0 +1,216 @@
+// Renders the merged resume (the /api/resume data) into downloadable files, so the PDF, the
+// Word-compatible HTML and the plain-text ATS version all come from one source and can't drift.
+// Served by GET /api/resume/download?format=pdf|txt|html (see resume-api.js).
+import { createPdf, textWidth, wrapText, A4 } from './pdf-writer.js';
+
+export const DOWNLOAD_FORMATS = {
+  pdf: { extension: 'pdf', contentType: 'application/pdf' },
+  txt: { extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' }
+};
+
+const join = (parts, separator) => parts.filter(Boolean).join(separator);
+
+// "https://www.linkedin.com/in/x/" -> "linkedin.com/in/x"
+const displayUrl = url => String(url || '').replace(/^https?:\/\/(www\.)?/, '').replace(/\/+$/, '');
+
+/**
+ * The resume as a flat list of blocks every format renders the same way:
+ *   { kind: 'name' | 'contact' | 'heading' | 'paragraph' | 'bullet', text }
+ *   { kind: 'entry', text, dates, sub }   a job, project, degree or paper
+ *   { kind: 'pair', label, text }          "Languages: Python, C++"
+ */
+export function resumeBlocks(resume) {
+  const r = resume || {};
+  const contact = r.contact || {};
+  const blocks = [];
+  const section = (heading, entries) => {
+    if (entries.length) blocks.push({ kind: 'heading', text: heading }, ...entries);
+  };
+  const bullets = list => (list || []).filter(Boolean).map(text => ({ kind: 'bullet', text }));
+
+  blocks.push({ kind: 'name', text: r.name || 'Resume' });
+  const contactLine = join([contact.email, ...(contact.profiles || []).map(p => displayUrl(p.url))], ' | ');
+  if (contactLine) blocks.push({ kind: 'contact', text: contactLine });
+
+  section('Summary', r.summary ? [{ kind: 'paragraph', text: r.summary }] : []);
+  section('Experience', (r.experience || []).flatMap(e => [
+    { kind: 'entry', text: join([e.role, e.company], ', '), dates: e.dates || '', sub: e.location || '' },
+    ...bullets(e.details)
+  ]));
+  section('Projects', (r.projects || []).flatMap(p => [
+    { kind: 'entry', text: p.name, dates: p.dates || '', sub: (p.tags || []).join(', ') },
+    ...bullets(p.details)
+  ]));
+  section('Education', (r.education || []).flatMap(e => [
+    { kind: 'entry', text: e.degree || e.institution, dates: e.dates || '', sub: join([e.degree ? e.institution : '', e.grade ? `CGPA: ${e.grade}` : ''], ', ') },
+    ...bullets(e.details)
+  ]));
+  section('Skills', (r.skills || []).map(s => ({ kind: 'pair', label: s.category, text: (s.items || []).join(', ') })));
+  section('Certifications', bullets((r.certifications || []).map(c => join([c.title, join([c.issuer, c.year], ', ')], ' — '))));
+  section('Publications', (r.publications || []).map(p => ({
+    kind: 'entry', text: p.title, dates: p.date || p.year || '', sub: join([p.venue, p.authors ? `Authors: ${p.authors}` : ''], '. ')
+  })));
+  section('Achievements', bullets(r.achievements));
+  return blocks;
+}
+
+// Plain text for ATS parsers: no columns, upper-case headings, "-" bullets
+function renderText(blocks) {
+  const lines = [];
+  blocks.forEach((b, i) => {
+    if (b.kind === 'heading') {
+      lines.push('', b.text.toUpperCase());
+    } else if (b.kind === 'entry') {
+      // Entries are separated by a blank line, except straight under their heading
+      if (blocks[i - 1].kind !== 'heading') lines.push('');
+      lines.push(join([b.text, b.dates], ' | '), ...(b.sub ? [b.sub] : []));
+    } else if (b.kind === 'bullet') {
+      lines.push(`- ${b.text}`);
+    } else if (b.kind === 'pair') {
+      lines.push(`${b.label}: ${b.text}`);
+    } else {
+      lines.push(b.text);
+    }
+  });
+  return `${lines.join('\n').trim()}\n`;
+}
+
+const escapeHtml = text => String(text || '').replace(/[&<>"']/g, ch =>
+  ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+
+// Self-contained HTML with inline-friendly styles; Word opens it (and saves it as .docx) as is
+function renderHtml(blocks, title) {
+  const body = [];
+  let list = false;
+  blocks.forEach(b => {
+    if (b.kind !== 'bullet' && list) {
+      body.push('</ul>');
+      list = false;
+    }
+    if (b.kind === 'name') body.push(`<h1>${escapeHtml(b.text)}</h1>`);
+    else if (b.kind === 'contact') body.push(`<p class="contact">${escapeHtml(b.text)}</p>`);
+    else if (b.kind === 'heading') body.push(`<h2>${escapeHtml(b.text)}</h2>`);
+    else if (b.kind === 'paragraph') body.push(`<p>${escapeHtml(b.text)}</p>`);
+    else if (b.kind === 'pair') body.push(`<p><b>${escapeHtml(b.label)}:</b> ${escapeHtml(b.text)}</p>`);
+    else if (b.kind === 'entry') {
+      body.push(`<p class="entry"><b>${escapeHtml(b.text)}</b>${b.dates ? ` <span class="dates">${escapeHtml(b.dates)}</span>` : ''}` +
+        `${b.sub ? `<br><i>${escapeHtml(b.sub)}</i>` : ''}</p>`);
+    } else {
+      if (!list) body.push('<ul>');
+      list = true;
+      body.push(`<li>${escapeHtml(b.text)}</li>`);
+    }
+  });
+  if (list) body.push('</ul>');
+
+  return `<!DOCTYPE html>
+<html lang="en" xmlns:o="urn:schemas-microsoft-com:office:office" xmlns:w="urn:schemas-microsoft-com:office:word">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: Calibri, Arial, sans-serif; font-size: 11pt; color: #000; max-width: 7.5in; margin: 0.5in auto; }
+  h1 { font-size: 20pt; margin: 0; }
+  h2 { font-size: 12pt; text-transform: uppercase; border-bottom: 1px solid #555; margin: 14pt 0 4pt; }
+  p { margin: 0 0 4pt; }
+  p.contact { color: #333; }
+  p.entry { margin-top: 6pt; }
+  .dates { color: #555; }
+  ul { margin: 0 0 4pt; padding-left: 18pt; }
+  li { margin: 0 0 2pt; }
+</style>
+</head>
+<body>
+${body.join('\n')}
+</body>
+</html>
+`;
+}
+
+const INK = [0, 0, 0];
+const ACCENT = [0.12, 0.23, 0.42];
+const MUTED = [0.33, 0.33, 0.33];
+
+// A4, single column; a heading never ends a page and an entry keeps its first bullet with it
+function renderPdf(blocks, title) {
+  const doc = createPdf({ title });
+  const margin = 50;
+  const width = A4[0] - margin * 2;
+  const right = A4[0] - margin;
+  let page;
+  let y = 0;
+
+  const newPage = () => {
+    page = doc.addPage();
+    y = A4[1] - margin;
+  };
+  const ensure = height => {
+    if (!page || y - height < margin) newPage();
+  };
+  // Wrapped lines starting at x; returns nothing, moves y down
+  const write = (text, { font = 'regular', size = 9.5, x = margin, maxWidth = right - x, color = INK, lead = 1.35 } = {}) => {
+    wrapText(text, font, size, maxWidth).forEach(line => {
+      ensure(size * lead);
+      y -= size * lead;
+      page.text(x, y, line, { font, size, color });
+    });
+  };
+
+  blocks.forEach((b, i) => {
+    const next = blocks[i + 1] || {};
+    if (b.kind === 'name') {
+      write(b.text, { font: 'bold', size: 20, color: ACCENT, lead: 1.1 });
+    } else if (b.kind === 'contact') {
+      y -= 2;
+      write(b.text, { size: 9, color: MUTED });
+    } else if (b.kind === 'heading') {
+      ensure(60);
+      y -= 10;
+      write(b.text.toUpperCase(), { font: 'bold', size: 11, color: ACCENT });
+      y -= 3;
+      page.line(margin, y, right, y, { width: 0.6, color: ACCENT });
+      y -= 2;
+    } else if (b.kind === 'entry') {
+      ensure(next.kind === 'bullet' ? 40 : 28);
+      y -= 4;
+      const datesWidth = b.dates ? textWidth(b.dates, 'regular', 9.5) + 12 : 0;
+      const top = y;
+      write(b.text, { font: 'bold', size: 10, maxWidth: width - datesWidth });
+      if (b.dates) page.text(right - datesWidth + 12, top - 10 * 1.35, b.dates, { size: 9.5, color: MUTED });
+      if (b.sub) write(b.sub, { font: 'italic', size: 9, color: MUTED });
+    } else if (b.kind === 'bullet') {
+      const [first, ...rest] = wrapText(b.text, 'regular', 9.5, width - 14);
+      ensure(9.5 * 1.35);
+      y -= 9.5 * 1.35;
+      page.text(margin + 3, y, '•', { size: 9.5 });
+      page.text(margin + 14, y, first || '', { size: 9.5 });
+      if (rest.length) write(rest.join(' '), { x: margin + 14 });
+    } else if (b.kind === 'pair') {
+      const label = `${b.label}: `;
+      const indent = textWidth(label, 'bold', 9.5);
+      const [first, ...rest] = wrapText(b.text, 'regular', 9.5, width - indent);
+      ensure(9.5 * 1.35);
+      y -= 9.5 * 1.35;
+      page.text(margin, y, label, { font: 'bold', size: 9.5 });
+      page.text(margin + indent, y, first || '', { size: 9.5 });
+      if (rest.length) write(rest.join(' '), { x: margin + indent });
+    } else {
+      write(b.text);
+    }
+  });
+  return doc.toBuffer();
+}
+
+/**
+ * Render `resume` as 'pdf', 'txt' or 'html'. Returns { body, contentType, filename } where body is
+ * a Buffer for PDF and a string otherwise.
+ */
+export function renderResume(resume, format) {
+  const { extension, contentType } = DOWNLOAD_FORMATS[format];
+  const name = (resume && resume.name) || 'Resume';
+  const title = `${name} — Resume`;
+  const blocks = resumeBlocks(resume);
+  const body = format === 'pdf' ? renderPdf(blocks, title) : format === 'html' ? renderHtml(blocks, title) : renderText(blocks);
+  return { body, contentType, filename: `${name.trim().replace(/\s+/g, '-')}-Resume.${extension}` };
+}
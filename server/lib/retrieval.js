@@ -0,0 +1,279 @@
+// BM25 retrieval over resume chunks. Each chat prompt gets only the top-k relevant
+// chunks as context instead of the whole page.
+import { loadResume } from './resume-loader.js';
+
+export const RETRIEVAL_SETTINGS = {
+  topK: Number(process.env.RETRIEVAL_TOP_K) || 5,
+  minRelativeScore: 0.35, // drop weak tail hits scoring below this fraction of the best one
+  k1: 1.5,
+  b: 0.75
+};
+
+const STOPWORDS = new Set(('a an and are as at be by did do does for from has have he his how i in is it its me ' +
+  'of on or so tell than that the their them there these they this to was what when where which who why will ' +
+  'with you your about any can could would should athar sayed sayeds').split(' '));
+
+export function tokenize(text) {
+  return (String(text || '').toLowerCase().match(/[a-z0-9][a-z0-9+#.]*/g) || [])
+    .map(t => t.replace(/\.+$/, ''))
+    .filter(t => t && !STOPWORDS.has(t));
+}
+
+// Words people use for each section, so "where did he study?" lands on education
+const SECTION_KEYWORDS = {
+  summary: 'summary profile overview background introduction',
+  experience: 'experience work worked job jobs role roles company companies employer intern internship career',
+  projects: 'project projects built build portfolio',
+  education: 'education degree degrees masters bachelors m.tech b.tech university college cgpa gpa study studied',
+  skills: 'skills skill technologies tech stack tools languages know knows',
+  certifications: 'certification certifications certificate certificates certified course courses',
+  publications: 'publication publications paper papers research journal conference published',
+  achievements: 'achievements achievement awards award recognition accomplishments'
+};
+
+// Where each section lives on the portfolio page
+export const SECTION_ANCHORS = {
+  summary: '#about',
+  education: '#about',
+  experience: '#experience',
+  projects: '#projects',
+  skills: '#skills',
+  certifications: '#certifications',
+  publications: '#publications',
+  achievements: '#achievements'
+};
+
+function slug(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').split('-').slice(0, 6).join('-');
+}
+
+/**
+ * Split the structured resume into retrievable chunks: { id, section, title, text, card, page }.
+ * `card` is the heading of the matching card on the page, `page` the resume PDF page.
+ */
+export function buildChunks(resume) {
+  const chunks = [];
+  const add = (section, title, lines, entry = {}) => {
+    const text = lines.filter(Boolean).join('\n');
+    if (!text.trim()) return;
+    let id = `${section}-${slug(title) || chunks.length}`;
+    if (chunks.some(c => c.id === id)) id = `${id}-${chunks.length}`;
+    chunks.push({ id, section, title, text, card: entry.cardTitle || null, page: entry.page || null });
+  };
+
+  add('summary', 'Professional Summary', [`Name: ${resume.name || ''}`, resume.summary]);
+
+  (resume.experience || []).forEach(e => add('experience', `${e.role} @ ${e.company}`, [
+    `${e.role} at ${e.company}${e.location ? `, ${e.location}` : ''} (${e.dates || 'dates n/a'})`,
+    ...(e.details || []).map(d => `- ${d}`)
+  ], e));
+
+  (resume.projects || []).forEach(p => add('projects', p.name, [
+    `Project: ${p.name}${p.dates ? ` (${p.dates})` : ''}`,
+    p.tags && p.tags.length ? `Tags: ${p.tags.join(', ')}` : '',
+    ...(p.details || []).map(d => `- ${d}`)
+  ], p));
+
+  (resume.education || []).forEach(e => add('education', e.degree || e.institution, [
+    `${e.degree || ''} — ${e.institution || ''} (${e.dates || ''})`,
+    e.grade ? `CGPA: ${e.grade}` : '',
+    ...(e.details || [])
+  ], e));
+
+  (resume.skills || []).forEach(s => add('skills', s.category, [`Skills — ${s.category}: ${(s.items || []).join(', ')}`], s));
+
+  if ((resume.certifications || []).length) {
+    add('certifications', 'Certifications', resume.certifications.map(c =>
+      `- ${c.title}${c.issuer ? ` (${c.issuer})` : ''}${c.year ? `, ${c.year}` : ''}`));
+  }
+
+  (resume.publications || []).forEach(p => add('publications', p.title, [
+    `Publication: ${p.title}`,
+    [p.venue, p.date || p.year].filter(Boolean).join(', '),
+    p.authors ? `Authors: ${p.authors}` : '',
+    p.abstract
+  ], p));
+
+  if ((resume.achievements || []).length) {
+    add('achievements', 'Achievements', resume.achievements.map(a => `- ${a}`));
+  }
+
+  return chunks;
+}
+
+/**
+ * Citation for a retrieved chunk: the page section, the card to highlight and the resume page.
+ */
+export function toCitation(chunk) {
+  return {
+    id: chunk.id,
+    section: SECTION_ANCHORS[chunk.section] || '#home',
+    card: chunk.card || null,
+    page: chunk.page || null,
+    label: chunk.card || chunk.title
+  };
+}
+
+// Sections whose entries read naturally as a list of titles
+const LIST_SECTIONS = {
+  experience: 'Experience',
+  projects: 'Projects',
+  education: 'Education',
+  skills: 'Skills',
+  publications: 'Publications'
+};
+
+/**
+ * Plain-text answer straight from retrieved chunks, no model involved. Several hits in one
+ * section ("what projects has he built?") become a list of titles, otherwise the top chunk's
+ * heading and first bullets are quoted.
+ */
+export function answerFromChunks(chunks) {
+  const top = chunks[0];
+  if (!top) return '';
+  const sameSection = chunks.filter(c => c.section === top.section);
+  if (LIST_SECTIONS[top.section] && sameSection.length > 1) {
+    return [`${LIST_SECTIONS[top.section]} from the resume:`, ...sameSection.map(c => `- ${c.card || c.title}`)].join('\n');
+  }
+  const lines = top.text.split('\n').filter(Boolean);
+  const bullets = lines.filter(l => l.startsWith('- ')).slice(0, 3);
+  const head = lines.filter(l => !l.startsWith('- ')).slice(0, bullets.length ? 1 : 2);
+  return [...(head.length ? head : [top.title]), ...bullets].join('\n');
+}
+
+// Short name for a chunk: "Vigilix: Network Intrusion Detection System" -> "Vigilix",
+// "Context-Grounded LLM Assistant for Recruiter-Facing AI Search" -> "Context-Grounded LLM Assistant"
+function shortTitle(chunk) {
+  return String(chunk.card || chunk.title || '')
+    .split(/\s*[:–—|]\s+|\s+@\s+/)[0]
+    .split(/\s+(?:for|using|with|of)\s+/i)[0]
+    .replace(/\.$/, '')
+    .trim();
+}
+
+// Follow-up questions a chunk can answer
+const FOLLOW_UPS = {
+  summary: () => ['What is his current role?'],
+  experience: c => {
+    const [role, company] = c.title.split(' @ ');
+    return [`What did he work on at ${company}?`, `What tools did he use as a ${role}?`];
+  },
+  projects: c => [`What stack did ${shortTitle(c)} use?`, `What problem does ${shortTitle(c)} solve?`],
+  education: c => [`What did he focus on in his ${shortTitle(c)}?`],
+  skills: c => {
+    const first = (c.text.split(': ')[1] || '').split(',')[0].trim();
+    return first ? [`Where has he used ${first}?`] : [];
+  },
+  certifications: () => ['Which certifications does he hold?'],
+  publications: c => [`What is the paper on ${shortTitle(c)} about?`],
+  achievements: () => ['What awards has he won?']
+};
+
+// Broader questions that move the conversation to another section
+const SECTION_STARTERS = {
+  projects: 'What projects has he built?',
+  experience: 'Where has he worked?',
+  skills: 'What is his tech stack?',
+  education: 'Where did he study?',
+  publications: 'Has he published any research?'
+};
+
+const questionKey = text => tokenize(text).join(' ');
+
+/**
+ * Two or three follow-up questions grounded in the chunks that answered this turn: up to two
+ * about the retrieved entries, then one that opens a section they did not touch. Questions in
+ * `asked` (this and earlier prompts) are skipped.
+ */
+export function suggestFollowUps(chunks, { asked = [], limit = 3 } = {}) {
+  const seen = new Set(asked.map(questionKey));
+  const out = [];
+  const add = question => {
+    const key = questionKey(question);
+    if (out.length >= limit || seen.has(key)) return;
+    seen.add(key);
+    out.push(question);
+  };
+
+  const entries = chunks.filter(c => FOLLOW_UPS[c.section]);
+  // First question for each of the top entries, then their second ones
+  [0, 1].forEach(i => entries.slice(0, 2).forEach(c => {
+    if (out.length < limit - 1) {
+      const question = FOLLOW_UPS[c.section](c)[i];
+      if (question) add(question);
+    }
+  }));
+
+  const covered = new Set(chunks.map(c => c.section));
+  Object.entries(SECTION_STARTERS).forEach(([section, question]) => {
+    if (!covered.has(section)) add(question);
+  });
+  return out;
+}
+
+/**
+ * Build an in-memory BM25 index. search(query, k) returns chunks with a `score`.
+ */
+export function createIndex(chunks, { k1 = RETRIEVAL_SETTINGS.k1, b = RETRIEVAL_SETTINGS.b } = {}) {
+  // Titles are indexed twice so a name match outranks a passing mention
+  const docs = chunks.map(c => {
+    const terms = tokenize(`${c.title} ${c.title} ${c.text} ${SECTION_KEYWORDS[c.section] || ''}`);
+    const tf = new Map();
+    terms.forEach(t => tf.set(t, (tf.get(t) || 0) + 1));
+    return { chunk: c, tf, length: terms.length };
+  });
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / (docs.length || 1);
+  const df = new Map();
+  docs.forEach(d => d.tf.forEach((_, t) => df.set(t, (df.get(t) || 0) + 1)));
+
+  const idf = term => {
+    const n = df.get(term) || 0;
+    return Math.log(1 + (docs.length - n + 0.5) / (n + 0.5));
+  };
+
+  function search(query, k = RETRIEVAL_SETTINGS.topK) {
+    const terms = Array.from(new Set(tokenize(query)));
+    return docs
+      .map(d => {
+        let score = 0;
+        terms.forEach(t => {
+          const f = d.tf.get(t);
+          if (!f) return;
+          score += idf(t) * (f * (k1 + 1)) / (f + k1 * (1 - b + b * d.length / avgLength));
+        });
+        return { ...d.chunk, score };
+      })
+      .filter(r => r.score > 0)
+      .sort((x, y) => y.score - x.score)
+      .slice(0, k);
+  }
+
+  return { chunks, search };
+}
+
+let indexed = { source: null, index: null };
+
+// Index over the merged resume, rebuilt whenever loadResume() hands back a new parse
+// (a source file changed, or the cache was invalidated)
+export async function getResumeIndex() {
+  const loaded = await loadResume();
+  if (indexed.source !== loaded) {
+    indexed = { source: loaded, index: createIndex(buildChunks(loaded.resume)) };
+  }
+  return indexed.index;
+}
+
+/**
+ * Pick the chunks that ground one question. Falls back to the summary when nothing matches
+ * (greetings, vague questions) so the model always has some context.
+ */
+export async function retrieveContext(query, { k = RETRIEVAL_SETTINGS.topK, index } = {}) {
+  const idx = index || await getResumeIndex();
+  let hits = idx.search(query, k);
+  if (hits.length) hits = hits.filter(h => h.score >= hits[0].score * RETRIEVAL_SETTINGS.minRelativeScore);
+  if (!hits.length) hits = idx.chunks.filter(c => c.section === 'summary');
+  return {
+    chunks: hits,
+    text: hits.map(c => `[${c.id}] ${c.title}\n${c.text}`).join('\n\n')
+  };
+}
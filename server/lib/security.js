@@ -0,0 +1,95 @@
+// HTTP hardening for the Express server: CORS allowlist, security headers and the set of
+// files that are actually public.
+//   CORS_ORIGINS   comma-separated extra origins allowed to call /api/* (the page's own origin
+//                  is always allowed, the Live Server dev origins unless NODE_ENV=production)
+import express from 'express';
+import path from 'path';
+import { LIMIT_SETTINGS } from './rate-limit.js';
+
+// VS Code Live Server talks to the proxy cross-origin (see API_BASE in js/scripts.js); development only
+const DEV_ORIGINS = ['http://localhost:5500', 'http://127.0.0.1:5500'];
+
+// Everything the page needs: Font Awesome from cdnjs, Poppins from Google Fonts, the Medium feed
+// proxies used by the blog section and remote article thumbnails.
+export const CONTENT_SECURITY_POLICY = [
+  "default-src 'self'",
+  "script-src 'self'",
+  "style-src 'self' 'unsafe-inline' https://cdnjs.cloudflare.com https://fonts.googleapis.com",
+  "font-src 'self' data: https://cdnjs.cloudflare.com https://fonts.gstatic.com",
+  "img-src 'self' data: https:",
+  "connect-src 'self' https://api.rss2json.com https://api.allorigins.win",
+  "frame-src 'self'",
+  "object-src 'none'",
+  "base-uri 'self'",
+  "form-action 'self'",
+  "frame-ancestors 'none'"
+].join('; ');
+
+// Paths under the repo root that may be served; everything else (server/, api/, package files,
+// .env, requests.jsonl...) 404s
+export const PUBLIC_DIRS = ['css', 'js', 'images', 'content'];
+export const PUBLIC_FILES = ['index.html', 'Athar-Sayed-Resume.pdf'];
+
+export function allowedOrigins(env = process.env) {
+  const configured = String(env.CORS_ORIGINS || '').split(',').map(o => o.trim().replace(/\/+$/, '')).filter(Boolean);
+  return new Set([...(env.NODE_ENV === 'production' ? [] : DEV_ORIGINS), ...configured]);
+}
+
+// Behind a TLS-terminating proxy req.protocol is 'http' while the page is https, so the
+// forwarded scheme is used when the proxy is trusted (TRUST_PROXY, see rate-limit.js)
+function sameOrigin(req, origin, trustProxy) {
+  const forwarded = trustProxy ? String(req.headers['x-forwarded-proto'] || '').split(',')[0].trim() : '';
+  return origin === `${forwarded || req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * CORS for the allowlist only. Browsers already block disallowed origins from reading responses;
+ * API calls carrying a foreign Origin are also refused outright so they never reach the model.
+ */
+export function corsAllowlist(origins = allowedOrigins(), { trustProxy = LIMIT_SETTINGS.trustProxy } = {}) {
+  return (req, res, next) => {
+    const origin = req.headers.origin;
+    if (!origin) return next();
+
+    const allowed = origins.has(origin) || sameOrigin(req, origin, trustProxy);
+    if (!allowed) {
+      if (req.path.startsWith('/api/')) return res.status(403).json({ error: 'Origin not allowed' });
+      return next();
+    }
+
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+    if (req.method === 'OPTIONS') {
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', req.headers['access-control-request-headers'] || 'Content-Type, Accept');
+      res.setHeader('Access-Control-Max-Age', '600');
+      return res.status(204).end();
+    }
+    next();
+  };
+}
+
+export function securityHeaders(req, res, next) {
+  res.setHeader('Content-Security-Policy', CONTENT_SECURITY_POLICY);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('X-Frame-Options', 'DENY');
+  res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
+  res.setHeader('Permissions-Policy', 'camera=(), microphone=(), geolocation=(), payment=()');
+  res.setHeader('Cross-Origin-Opener-Policy', 'same-origin');
+  res.setHeader('Cross-Origin-Resource-Policy', 'same-origin');
+  // HSTS only means something over HTTPS (e.g. behind a TLS-terminating proxy)
+  if (req.secure || req.headers['x-forwarded-proto'] === 'https') {
+    res.setHeader('Strict-Transport-Security', 'max-age=31536000; includeSubDomains');
+  }
+  next();
+}
+
+/**
+ * Static serving limited to PUBLIC_DIRS and PUBLIC_FILES under rootDir.
+ */
+export function publicAssets(rootDir) {
+  const router = express.Router();
+  PUBLIC_DIRS.forEach(dir => router.use(`/${dir}`, express.static(path.join(rootDir, dir), { dotfiles: 'ignore' })));
+  PUBLIC_FILES.forEach(file => router.get(`/${file}`, (req, res) => res.sendFile(path.join(rootDir, file))));
+  return router;
+}
@@ -0,0 +1,123 @@
+// Server-owned chat sessions. The browser only sends its session id and the new question; the
+// conversation the model sees comes from here, so clients can no longer forge earlier turns.
+//   CHAT_SESSION_FILE     optional JSON file the store is persisted to (survives restarts)
+//   CHAT_SESSION_TTL_MS   idle time before a session expires (default 24h)
+// In-memory by default, so on Vercel a session lives as long as its warm instance.
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+export const SESSION_SETTINGS = {
+  ttlMs: Number(process.env.CHAT_SESSION_TTL_MS) || 24 * 60 * 60 * 1000,
+  maxTurns: 20,        // kept per session (oldest dropped first)
+  maxSessions: 5000,   // least recently used sessions are evicted past this
+  filePath: process.env.CHAT_SESSION_FILE || ''
+};
+
+const SESSION_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export function isSessionId(id) {
+  return typeof id === 'string' && SESSION_ID.test(id);
+}
+
+/**
+ * Session store: get(id), create(), append(id, turns), toJSON(session).
+ * Turns are { role, content, at, citations? }.
+ */
+export function createSessionStore({
+  ttlMs = SESSION_SETTINGS.ttlMs,
+  maxTurns = SESSION_SETTINGS.maxTurns,
+  maxSessions = SESSION_SETTINGS.maxSessions,
+  filePath = SESSION_SETTINGS.filePath
+} = {}) {
+  // Map keeps insertion order; touching a session re-inserts it, so the first key is the LRU one
+  const sessions = new Map();
+  let saveTimer = null;
+
+  if (filePath && fs.existsSync(filePath)) {
+    try {
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      (Array.isArray(saved) ? saved : []).forEach(s => {
+        if (isSessionId(s?.id) && Array.isArray(s.turns)) sessions.set(s.id, s);
+      });
+      console.log(`💾 Restored ${sessions.size} chat sessions from ${filePath}`);
+    } catch (err) {
+      console.error('Session file unreadable, starting empty:', err.message);
+    }
+  }
+
+  // Debounced so a burst of turns is one write
+  function persist() {
+    if (!filePath || saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify([...sessions.values()]));
+      } catch (err) {
+        console.error('Failed to save chat sessions:', err.message);
+      }
+    }, 250);
+    saveTimer.unref?.();
+  }
+
+  const expired = (session, now) => now - session.updatedAt > ttlMs;
+
+  function get(id, now = Date.now()) {
+    if (!isSessionId(id)) return null;
+    const session = sessions.get(id);
+    if (!session) return null;
+    if (expired(session, now)) {
+      sessions.delete(id);
+      persist();
+      return null;
+    }
+    return session;
+  }
+
+  function create(now = Date.now()) {
+    while (sessions.size >= maxSessions) sessions.delete(sessions.keys().next().value);
+    const session = { id: crypto.randomUUID(), createdAt: now, updatedAt: now, turns: [] };
+    sessions.set(session.id, session);
+    persist();
+    return session;
+  }
+
+  function append(id, turns, now = Date.now()) {
+    const session = sessions.get(id);
+    if (!session) return null;
+    session.turns.push(...turns.map(t => ({ ...t, at: now })));
+    if (session.turns.length > maxTurns) session.turns.splice(0, session.turns.length - maxTurns);
+    session.updatedAt = now;
+    sessions.delete(id);
+    sessions.set(id, session);
+    persist();
+    return session;
+  }
+
+  // Public shape for GET /api/chat/sessions/:id
+  function toJSON(session) {
+    return {
+      id: session.id,
+      createdAt: new Date(session.createdAt).toISOString(),
+      updatedAt: new Date(session.updatedAt).toISOString(),
+      turns: session.turns.map(t => ({
+        role: t.role,
+        content: t.content,
+        at: new Date(t.at).toISOString(),
+        ...(t.citations?.length ? { citations: t.citations } : {})
+      }))
+    };
+  }
+
+  return { get, create, append, toJSON };
+}
+
+/**
+ * Shared handler for GET /api/chat/sessions/:id. Returns { status, body }.
+ */
+export function getSessionResponse(store, id) {
+  const session = store.get(id);
+  if (!session) return { status: 404, body: { error: 'Session not found' } };
+  return { status: 200, body: store.toJSON(session) };
+}
@@ -0,0 +1,17 @@
+// Writes the cards from content/portfolio.json into index.html, so static hosts (Vercel serves
+// index.html as a file) ship the same markup GET / renders. Run after editing the content file:
+//   npm run prerender
+// With --check nothing is written; it exits with 1 when index.html is out of date (for CI).
+import { PORTFOLIO_HTML_PATH } from './lib/resume-loader.js';
+import { prerenderFile } from './lib/portfolio-content.js';
+
+const check = process.argv.includes('--check');
+const stale = prerenderFile(PORTFOLIO_HTML_PATH, { write: !check });
+if (!stale) {
+  console.log('index.html is up to date');
+} else if (check) {
+  console.error('index.html is out of date with content/portfolio.json; run npm run prerender');
+  process.exitCode = 1;
+} else {
+  console.log('✅ index.html re-rendered from content/portfolio.json');
+}
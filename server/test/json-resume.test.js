@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { toIsoDate, toJsonResume, JSON_RESUME_SCHEMA_URL } from '../lib/json-resume.js';
+import { getResumeResponse } from '../lib/resume-api.js';
+import { loadResume } from '../lib/resume-loader.js';
+
+const RESUME = {
+  name: 'Test Person',
+  summary: 'Builds things.',
+  contact: {
+    email: 'test@example.com',
+    profiles: [{ network: 'GitHub', url: 'https://github.com/test-person/' }]
+  },
+  experience: [
+    { role: 'Intern', company: 'Acme', location: 'Pune', dates: 'February 2026 - Present', details: ['Shipped it'] },
+    { role: 'Engineer', company: 'Initech', dates: 'June 2023 – July 2024', details: [] }
+  ],
+  education: [{ degree: 'M. Tech. – Artificial Intelligence', institution: 'Uni', dates: '2024 - 2026', grade: '9.1', details: ['Deep Learning'] }],
+  projects: [{ name: 'Tool', dates: '2024', tags: ['Node'], details: ['Fast'], links: [{ label: 'Code', url: 'https://github.com/test-person/tool' }] }],
+  skills: [{ category: 'Languages', items: ['Python', 'C++'] }],
+  certifications: [{ title: 'Cert', issuer: 'Org', year: '2024' }],
+  publications: [{ title: 'Paper', venue: 'Conf', date: '2 June 2026', abstract: 'About it', links: [{ label: 'DOI', url: 'doi:10.1/x' }] }],
+  achievements: ['Won a prize']
+};
+
+test('toIsoDate: month-first, day-first, month-only and year-only dates', () => {
+  assert.equal(toIsoDate('2 June 2026'), '2026-06-02');
+  assert.equal(toIsoDate('2nd June 2026'), '2026-06-02');
+  assert.equal(toIsoDate('31 Dec 2025'), '2025-12-31');
+  assert.equal(toIsoDate('June 2, 2026'), '2026-06-02');
+  assert.equal(toIsoDate('Apr 4, 2023'), '2023-04-04');
+  assert.equal(toIsoDate('Sept. 3 2024'), '2024-09-03');
+  assert.equal(toIsoDate('February 2026'), '2026-02');
+  assert.equal(toIsoDate('2024'), '2024');
+  assert.equal(toIsoDate('Spring 2024'), '2024');
+  assert.equal(toIsoDate('Present'), '');
+  assert.equal(toIsoDate(undefined), '');
+});
+
+test('work: company, position and date ranges, open ranges without an endDate', () => {
+  const { work } = toJsonResume(RESUME);
+  assert.deepEqual(work, [
+    { name: 'Acme', position: 'Intern', location: 'Pune', startDate: '2026-02', highlights: ['Shipped it'] },
+    { name: 'Initech', position: 'Engineer', startDate: '2023-06', endDate: '2024-07' }
+  ]);
+});
+
+test('education, skills and the other sections', () => {
+  const doc = toJsonResume(RESUME);
+  assert.equal(doc.$schema, JSON_RESUME_SCHEMA_URL);
+  assert.deepEqual(doc.basics, {
+    name: 'Test Person',
+    email: 'test@example.com',
+    summary: 'Builds things.',
+    profiles: [{ network: 'GitHub', username: 'test-person', url: 'https://github.com/test-person/' }]
+  });
+  assert.deepEqual(doc.education, [{
+    institution: 'Uni',
+    area: 'Artificial Intelligence',
+    studyType: 'M. Tech.',
+    startDate: '2024',
+    endDate: '2026',
+    score: '9.1',
+    courses: ['Deep Learning']
+  }]);
+  assert.deepEqual(doc.skills, [{ name: 'Languages', keywords: ['Python', 'C++'] }]);
+  assert.deepEqual(doc.projects, [{ name: 'Tool', startDate: '2024', highlights: ['Fast'], keywords: ['Node'], url: 'https://github.com/test-person/tool' }]);
+  assert.deepEqual(doc.certificates, [{ name: 'Cert', issuer: 'Org', date: '2024' }]);
+  // Only http(s) links become a url
+  assert.deepEqual(doc.publications, [{ name: 'Paper', publisher: 'Conf', releaseDate: '2026-06-02', summary: 'About it' }]);
+  assert.deepEqual(doc.awards, [{ title: 'Won a prize' }]);
+});
+
+test('empty fields and sections are left out', () => {
+  assert.deepEqual(toJsonResume({ name: 'Only Name' }), { $schema: JSON_RESUME_SCHEMA_URL, basics: { name: 'Only Name' } });
+});
+
+test('GET /api/resume.json: meta.lastModified is when the sources last changed', async () => {
+  const loaded = await loadResume();
+  const { status, body } = await getResumeResponse({ format: 'jsonresume' });
+  assert.equal(status, 200);
+  assert.equal(body.meta.lastModified, new Date(loaded.lastModified).toISOString());
+  assert.equal(body.basics.name, loaded.resume.name);
+});
@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+// Shared with the page; a UMD file, so it loads as CommonJS
+import messageFormat from '../../js/message-format.js';
+
+const { formatMessage, safeHref } = messageFormat;
+const ORIGIN = 'https://athar.example';
+const format = text => formatMessage(text, { origin: ORIGIN });
+
+// Every tag in the output must be one the formatter is allowed to produce
+function assertOnlySafeTags(html) {
+  const tags = html.match(/<\/?[a-z][^>]*>/gi) || [];
+  tags.forEach(tag => {
+    assert.match(tag, /^<\/?(br|ul|li|strong|code|a)(\s|>|\/)/i, `unexpected tag ${tag}`);
+    assert.doesNotMatch(tag, /\son\w+\s*=/i, `event handler in ${tag}`);
+  });
+  (html.match(/<a [^>]*>/gi) || []).forEach(tag => {
+    assert.match(tag, /^<a href="[^"]*"( target="_blank" rel="noopener noreferrer")?>$/, `unexpected attributes in ${tag}`);
+    assert.doesNotMatch(tag, /href="\s*(javascript|data|vbscript):/i);
+  });
+}
+
+test('script tags are escaped', () => {
+  const html = format('<script>alert(1)</script>');
+  assert.equal(html, '&lt;script&gt;alert(1)&lt;/script&gt;');
+  assertOnlySafeTags(format('Hi <img src=x onerror=alert(1)> **<b>bold</b>** `<svg onload=alert(1)>`'));
+});
+
+test('javascript: and data: links keep only their label', () => {
+  assert.equal(format('[click](javascript:alert(1))'), 'click)');
+  assert.equal(format('[click](javascript:alert%281%29)'), 'click');
+  assert.equal(format('[click](JaVaScRiPt:alert`1`)'), 'click');
+  assert.equal(format('[x](data:text/html;base64,PHNjcmlwdD4=)'), 'x');
+  assert.equal(safeHref('javascript:alert(1)', ORIGIN), null);
+  assert.equal(safeHref(' javascript:alert(1)', ORIGIN), null);
+  assert.equal(safeHref('vbscript:msgbox', ORIGIN), null);
+});
+
+test('links cannot break out of the href attribute', () => {
+  const cases = [
+    '[x](https://github.com/"onmouseover="alert(1))',
+    '[x](https://github.com/\'onmouseover=\'alert(1))',
+    'https://github.com/a"><script>alert(1)</script>',
+    '[x](https://github.com/a"style="position:fixed)',
+    'mailto:a@b.co"onclick="alert(1)'
+  ];
+  cases.forEach(text => assertOnlySafeTags(format(text)));
+  assert.equal(format('[x](https://github.com/"onmouseover="alert(1))'),
+    '<a href="https://github.com/%22onmouseover=%22alert(1" target="_blank" rel="noopener noreferrer">x</a>)');
+});
+
+test('HTML inside a markdown link label is escaped', () => {
+  const html = format('[<img src=x onerror=alert(1)>](https://github.com/AtharSayed)');
+  assert.equal(html, '<a href="https://github.com/AtharSayed" target="_blank" rel="noopener noreferrer">&lt;img src=x onerror=alert(1)&gt;</a>');
+  assertOnlySafeTags(format('[**<script>x</script>**](https://linkedin.com/in/x)'));
+});
+
+test('links off the whitelist stay as text', () => {
+  assert.equal(format('[site](https://evil.example/phish)'), 'site (https://evil.example/phish)');
+  assert.equal(format('http://github.com/x'), 'http://github.com/x');
+  assert.equal(format('See https://evil.example.'), 'See https://evil.example.');
+});
+
+test('whitelisted, own-site, anchor and mailto links are kept', () => {
+  assert.equal(format('[GitHub](https://github.com/AtharSayed)'),
+    '<a href="https://github.com/AtharSayed" target="_blank" rel="noopener noreferrer">GitHub</a>');
+  assert.equal(format('[Projects](#projects)'), '<a href="#projects">Projects</a>');
+  assert.equal(format(`${ORIGIN}/resume`), `<a href="${ORIGIN}/resume" target="_blank" rel="noopener noreferrer">${ORIGIN}/resume</a>`);
+  assert.equal(format('Mail sayedathar242@gmail.com'), 'Mail <a href="mailto:sayedathar242@gmail.com">sayedathar242@gmail.com</a>');
+  // Without an origin only the whitelist applies
+  assert.equal(formatMessage(`${ORIGIN}/resume`, { origin: '' }), `${ORIGIN}/resume`);
+});
+
+test('lists, bold, code and line breaks', () => {
+  assert.equal(format('Projects:\n- **IntelliTube**: `FastAPI`\n- Vigilix\nDone'),
+    'Projects:<ul><li><strong>IntelliTube</strong>: <code>FastAPI</code></li><li>Vigilix</li></ul>Done');
+  assert.equal(format('a\r\nb'), 'a<br>b');
+  assert.equal(format(null), '');
+});
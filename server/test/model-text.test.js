@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+// Shared with the page; a UMD file, so it loads as CommonJS
+import modelText from '../../js/model-text.js';
+
+const { extractModelText } = modelText;
+
+test('plain strings are trimmed', () => {
+  assert.equal(extractModelText('  He built a chatbot.\n'), 'He built a chatbot.');
+  assert.equal(extractModelText('[1] Der Kurator is a paper.'), '[1] Der Kurator is a paper.');
+});
+
+test('JSON inside a string is unwrapped', () => {
+  assert.equal(extractModelText('{"reply": "He built a chatbot."}'), 'He built a chatbot.');
+  assert.equal(extractModelText('  {"response": {"text": "Nested"}}'), 'Nested');
+  assert.equal(extractModelText('["First part", "Second part"]'), 'First part\n\nSecond part');
+});
+
+test('reply, text and generated_text keys', () => {
+  assert.equal(extractModelText({ reply: 'From reply' }), 'From reply');
+  assert.equal(extractModelText({ text: 'From text' }), 'From text');
+  assert.equal(extractModelText({ generated_text: 'From HF' }), 'From HF');
+  assert.equal(extractModelText([{ generated_text: 'From an HF array' }]), 'From an HF array');
+});
+
+test('arrays of parts are joined', () => {
+  assert.equal(extractModelText(['One', 'Two']), 'One\n\nTwo');
+  assert.equal(extractModelText([{ type: 'text', text: 'One' }, { type: 'text', text: 'Two' }]), 'One\n\nTwo');
+  assert.equal(extractModelText({ content: { parts: [{ text: 'Gemini' }, 'style'] } }), 'Gemini\n\nstyle');
+});
+
+test('OpenAI-style choices: message, delta and text', () => {
+  assert.equal(extractModelText({ choices: [{ message: { content: 'Message' } }] }), 'Message');
+  assert.equal(extractModelText({ choices: [{ message: { content: [{ type: 'text', text: 'Parts' }] } }] }), 'Parts');
+  assert.equal(extractModelText({ choices: [{ delta: { content: 'Delta' } }] }), 'Delta');
+  assert.equal(extractModelText({ choices: [{ text: 'Completion' }] }), 'Completion');
+  assert.equal(extractModelText({ choices: [{ message: { content: '{"reply": "JSON in a message"}' } }] }), 'JSON in a message');
+  assert.equal(extractModelText({ choices: [{ message: { content: '' } }, { message: { content: 'Second choice' } }] }), 'Second choice');
+});
+
+test('payloads nested under result, data, response or output', () => {
+  assert.equal(extractModelText({ result: { reply: 'Result' } }), 'Result');
+  assert.equal(extractModelText({ data: { choices: [{ message: { content: 'Data' } }] } }), 'Data');
+  assert.equal(extractModelText({ output: [{ generated_text: 'Output' }] }), 'Output');
+});
+
+test('empty payloads give null', () => {
+  [null, undefined, '', '   ', {}, [], { reply: '' }, { choices: [] }, { choices: [{ delta: {} }] }, '{"reply": ""}', 42, true]
+    .forEach(payload => assert.equal(extractModelText(payload), null, JSON.stringify(payload)));
+});
+
+test('malformed payloads fall back to the raw text or the first string', () => {
+  assert.equal(extractModelText('{"reply": "cut off'), '{"reply": "cut off');
+  assert.equal(extractModelText({ unexpected: { shape: 'Still found' } }), 'Still found');
+  const circular = { data: {} };
+  circular.data.self = circular;
+  assert.equal(extractModelText(circular), null);
+});
@@ -0,0 +1,122 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+// Shared with the page; a UMD file, so it loads as CommonJS
+import portfolioRender from '../../js/portfolio-render.js';
+import {
+  PORTFOLIO_SECTIONS, prerenderPage, prerenderFile, readPortfolioContent, renderedPage
+} from '../lib/portfolio-content.js';
+import { PORTFOLIO_HTML_PATH } from '../lib/resume-loader.js';
+
+const { SECTIONS, contentHash, renderSection, renderMarked } = portfolioRender;
+const SERVER_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const PROJECT = {
+  title: 'Tool <script>',
+  tags: ['Node'],
+  details: ['Made it **fast** & small'],
+  links: [{ label: 'Code', url: 'https://github.com/test-person/tool?a=1&b="2"' }]
+};
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'portfolio-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('index.html is the pre-render of content/portfolio.json (run `npm run prerender` after editing it)', () => {
+  const html = fs.readFileSync(PORTFOLIO_HTML_PATH, 'utf8');
+  const content = readPortfolioContent();
+  assert.equal(prerenderPage(html, content), html);
+  // Every section is actually there, with the hash of its current content
+  PORTFOLIO_SECTIONS.forEach(name => {
+    assert.ok(html.includes(`<!-- content:${name} ${contentHash(content[name])} -->`), `${name} is not pre-rendered`);
+  });
+});
+
+test('prerender.js --check passes on the checked-in page', () => {
+  const output = execFileSync(process.execPath, ['prerender.js', '--check'], { cwd: SERVER_DIR, encoding: 'utf8', timeout: 30000 });
+  assert.match(output, /up to date/);
+});
+
+test('cards escape text and allow only **bold** markup', () => {
+  const html = renderSection('projects', [PROJECT]);
+  assert.match(html, /<h3>Tool &lt;script&gt;<\/h3>/);
+  assert.match(html, /<li>Made it <strong>fast<\/strong> &amp; small<\/li>/);
+  assert.match(html, /href="https:\/\/github\.com\/test-person\/tool\?a=1&amp;b=&quot;2&quot;" target="_blank" rel="noopener noreferrer"/);
+  assert.ok(!html.includes('<script>'));
+});
+
+test('icon classes and colours that could break out of their attribute are replaced', () => {
+  const html = renderSection('certifications', [{ title: 'Cert', issuer: 'Org', icon: 'fa" onload="x', color: 'red;background:url(x)' }]);
+  assert.match(html, /<i class="fas fa-circle"><\/i>/);
+  assert.ok(!html.includes('onload'));
+  assert.match(renderSection('certifications', [{ title: 'Cert', issuer: 'Org', icon: 'fas fa-award', color: '#f80' }]),
+    /<i class="fas fa-award" style="color: #f80;"><\/i>/);
+});
+
+test('sections render one indented block per card between hashed markers', () => {
+  const items = [PROJECT, { ...PROJECT, title: 'Second' }];
+  const marked = renderMarked('projects', items, '    ');
+  const lines = marked.split('\n');
+  assert.equal(lines[0], `    <!-- content:projects ${contentHash(items)} -->`);
+  assert.equal(lines.at(-1), '    <!-- /content:projects -->');
+  assert.ok(lines.slice(1, -1).every(line => !line || line.startsWith('    ')));
+  assert.equal(marked.match(/<div class="project-card">/g).length, 2);
+  assert.deepEqual(SECTIONS, PORTFOLIO_SECTIONS);
+});
+
+test('contentHash changes with the content and is stable for the same content', () => {
+  assert.equal(contentHash([PROJECT]), contentHash([{ ...PROJECT }]));
+  assert.notEqual(contentHash([PROJECT]), contentHash([{ ...PROJECT, title: 'Other' }]));
+  assert.match(contentHash(undefined), /^[0-9a-f]{8}$/);
+});
+
+test('prerenderPage replaces marker regions, keeps their indentation and leaves the rest alone', () => {
+  const html = [
+    '<main>',
+    '  <div data-content="projects">',
+    '    <!-- content:projects 00000000 -->',
+    '    <p>stale</p>',
+    '    <!-- /content:projects -->',
+    '  </div>',
+    '  <div data-content="skills"><!-- content:skills --><!-- /content:skills --></div>',
+    '</main>'
+  ].join('\n');
+  const page = prerenderPage(html, { projects: [PROJECT] });
+  assert.ok(page.includes(renderMarked('projects', [PROJECT], '    ')));
+  assert.ok(!page.includes('stale'));
+  // No content for skills: its region is untouched
+  assert.ok(page.includes('<!-- content:skills --><!-- /content:skills -->'));
+  assert.equal(prerenderPage(html, null), html);
+  assert.equal(prerenderPage(page, { projects: [PROJECT] }), page);
+});
+
+test('prerenderFile rewrites a stale file once, and only checks it with write: false', (t) => {
+  const file = path.join(tempDir(t), 'index.html');
+  fs.writeFileSync(file, '<div><!-- content:projects --><!-- /content:projects --></div>');
+  const content = { projects: [PROJECT] };
+  const before = fs.readFileSync(file, 'utf8');
+  assert.equal(prerenderFile(file, { content, write: false }), true);
+  assert.equal(fs.readFileSync(file, 'utf8'), before);
+  assert.equal(prerenderFile(file, { content }), true);
+  assert.match(fs.readFileSync(file, 'utf8'), /project-card/);
+  assert.equal(prerenderFile(file, { content }), false);
+});
+
+test('readPortfolioContent: null for a missing file, throws on invalid JSON', (t) => {
+  const dir = tempDir(t);
+  assert.equal(readPortfolioContent(path.join(dir, 'missing.json')), null);
+  fs.writeFileSync(path.join(dir, 'broken.json'), '{ "projects": [');
+  assert.throws(() => readPortfolioContent(path.join(dir, 'broken.json')), SyntaxError);
+});
+
+test('renderedPage serves the pre-rendered page for GET /', () => {
+  const page = renderedPage(PORTFOLIO_HTML_PATH);
+  assert.equal(page, prerenderPage(fs.readFileSync(PORTFOLIO_HTML_PATH, 'utf8'), readPortfolioContent()));
+  assert.equal(renderedPage(PORTFOLIO_HTML_PATH), page);
+});
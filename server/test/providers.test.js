@@ -0,0 +1,259 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createFallbackProvider, createMockProvider, createOpenAICompatibleProvider, createProvider, parseRetryAfter, readEventStream, ProviderError } from '../lib/providers.js';
+import { answerFromChunks } from '../lib/retrieval.js';
+
+const MESSAGES = [{ role: 'user', content: 'User Question: What projects has he built?' }];
+const FAST = { timeoutMs: 1000, backoffMs: 1, maxRetryDelayMs: 1000 };
+
+// Fake fetch answering per model from a script of { status, retryAfter, reply, hang } steps (the
+// last step repeats). `hang` never answers until the request is aborted.
+function scriptedFetch(script) {
+  const calls = [];
+  const counts = {};
+  const fetchImpl = async (url, init) => {
+    const { model, stream } = JSON.parse(init.body);
+    calls.push(model);
+    counts[model] = (counts[model] || 0) + 1;
+    const steps = script[model];
+    const step = steps[Math.min(counts[model], steps.length) - 1];
+    if (step.hang) {
+      await new Promise((resolve, reject) => init.signal.addEventListener('abort', () => reject(init.signal.reason), { once: true }));
+    }
+    if (step.status) {
+      return {
+        ok: false,
+        status: step.status,
+        text: async () => `status ${step.status}`,
+        headers: { get: name => (name === 'retry-after' ? step.retryAfter ?? null : null) }
+      };
+    }
+    if (stream) return { ok: true, body: [`data: ${JSON.stringify({ choices: [{ delta: { content: step.reply } }] })}\n\n`, 'data: [DONE]\n\n'] };
+    return { ok: true, json: async () => ({ choices: [{ message: { content: step.reply } }] }) };
+  };
+  return { fetchImpl, calls };
+}
+
+function chain(script, options = {}) {
+  const { fetchImpl, calls } = scriptedFetch(script);
+  const providers = Object.keys(script).map(model =>
+    createOpenAICompatibleProvider({ name: 'test', baseUrl: 'http://llm.test/v1', model, fetchImpl }));
+  return { provider: createFallbackProvider(providers, { ...FAST, ...options }), calls };
+}
+
+// The chain logs every failed attempt; keep the test output readable
+function quiet(t) {
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+}
+
+test('parseRetryAfter reads delay-seconds and HTTP dates', () => {
+  const now = Date.UTC(2026, 5, 2, 10, 0, 0);
+  assert.equal(parseRetryAfter('3', now), 3000);
+  assert.equal(parseRetryAfter('0', now), 0);
+  assert.equal(parseRetryAfter(new Date(now + 5000).toUTCString(), now), 5000);
+  assert.equal(parseRetryAfter(new Date(now - 5000).toUTCString(), now), 0);
+  assert.equal(parseRetryAfter('soon', now), null);
+  assert.equal(parseRetryAfter('', now), null);
+  assert.equal(parseRetryAfter(null, now), null);
+});
+
+test('a 503 moves on to the next model once retries are used up', async (t) => {
+  quiet(t);
+  const { provider, calls } = chain({ first: [{ status: 503 }], second: [{ reply: 'From the second model' }] }, { maxRetries: 1 });
+  assert.equal(await provider.complete(MESSAGES), 'From the second model');
+  assert.deepEqual(calls, ['first', 'first', 'second']);
+  assert.deepEqual(provider.models, ['first', 'second']);
+});
+
+test('a 503 is retried on the same model when it recovers', async (t) => {
+  quiet(t);
+  const { provider, calls } = chain({ first: [{ status: 503 }, { reply: 'Recovered' }], second: [{ reply: 'Unused' }] }, { maxRetries: 2 });
+  assert.equal(await provider.complete(MESSAGES), 'Recovered');
+  assert.deepEqual(calls, ['first', 'first']);
+});
+
+test('a 429 waits for Retry-After in seconds before retrying', async (t) => {
+  quiet(t);
+  const { provider, calls } = chain({ first: [{ status: 429, retryAfter: '0.05' }, { reply: 'After waiting' }] }, { maxRetries: 1 });
+  const started = Date.now();
+  assert.equal(await provider.complete(MESSAGES), 'After waiting');
+  assert.ok(Date.now() - started >= 45, `retried after ${Date.now() - started}ms`);
+  assert.deepEqual(calls, ['first', 'first']);
+});
+
+test('a 429 with an HTTP-date Retry-After in the past retries at once', async (t) => {
+  quiet(t);
+  const past = new Date(Date.now() - 60000).toUTCString();
+  const { provider, calls } = chain({ first: [{ status: 429, retryAfter: past }, { reply: 'Right away' }] }, { maxRetries: 1, backoffMs: 60000 });
+  assert.equal(await provider.complete(MESSAGES), 'Right away');
+  assert.deepEqual(calls, ['first', 'first']);
+});
+
+test('a Retry-After above maxRetryDelayMs skips ahead instead of waiting', async (t) => {
+  quiet(t);
+  const later = new Date(Date.now() + 60000).toUTCString();
+  const { provider, calls } = chain({
+    first: [{ status: 429, retryAfter: later }],
+    second: [{ status: 429, retryAfter: '120' }],
+    third: [{ reply: 'Third model' }]
+  }, { maxRetries: 3 });
+  const started = Date.now();
+  assert.equal(await provider.complete(MESSAGES), 'Third model');
+  assert.ok(Date.now() - started < 1000);
+  assert.deepEqual(calls, ['first', 'second', 'third']);
+});
+
+test('an attempt that outlives timeoutMs is aborted and counts as a 504', async (t) => {
+  quiet(t);
+  const { provider, calls } = chain({ slow: [{ hang: true }], fast: [{ reply: 'In time' }] }, { timeoutMs: 20, maxRetries: 2 });
+  assert.equal(await provider.complete(MESSAGES), 'In time');
+  // 504 is not retryable, so the slow model gets a single attempt
+  assert.deepEqual(calls, ['slow', 'fast']);
+});
+
+test('all models failing throws one ProviderError listing every attempt', async (t) => {
+  quiet(t);
+  const { provider } = chain({ first: [{ status: 503 }], second: [{ status: 400 }], third: [{ hang: true }] }, { timeoutMs: 20, maxRetries: 1 });
+  await assert.rejects(provider.complete(MESSAGES), err => {
+    assert.ok(err instanceof ProviderError);
+    assert.equal(err.status, 502);
+    assert.equal(err.provider, 'fallback');
+    assert.equal(err.message, 'All models failed');
+    assert.deepEqual(err.details.split('; '), [
+      'test/first: 503 Model inference failed',
+      'test/first: 503 Model inference failed',
+      'test/second: 400 Model inference failed',
+      'test/third: 504 Model timed out'
+    ]);
+    return true;
+  });
+});
+
+test('a caller abort is not retried or passed to the next model', async (t) => {
+  quiet(t);
+  const { provider, calls } = chain({ first: [{ hang: true }], second: [{ reply: 'Unused' }] });
+  const controller = new AbortController();
+  const pending = provider.complete(MESSAGES, { signal: controller.signal });
+  setTimeout(() => controller.abort(), 10);
+  await assert.rejects(pending, err => err.name === 'AbortError');
+  assert.deepEqual(calls, ['first']);
+});
+
+test('streams fall back until the first token arrives', async (t) => {
+  quiet(t);
+  const { provider, calls } = chain({ first: [{ status: 503 }], second: [{ reply: 'Streamed' }] }, { maxRetries: 0 });
+  const tokens = [];
+  for await (const token of provider.stream(MESSAGES)) tokens.push(token);
+  assert.deepEqual(tokens, ['Streamed']);
+  assert.deepEqual(calls, ['first', 'second']);
+});
+
+test('models with a config error are left out of the chain', () => {
+  const broken = createOpenAICompatibleProvider({ name: 'hf', baseUrl: 'http://llm.test/v1', model: 'm', requireKey: true });
+  const provider = createFallbackProvider([broken]);
+  assert.equal(provider.configError, 'HF_API_KEY missing');
+  assert.deepEqual(provider.models, []);
+});
+
+// Async-iterable body delivering the given chunks one at a time
+async function* chunked(chunks) {
+  for (const chunk of chunks) yield chunk;
+}
+
+async function collect(body) {
+  const events = [];
+  for await (const event of readEventStream(body)) events.push(event);
+  return events;
+}
+
+test('readEventStream joins data lines split across chunks', async () => {
+  assert.deepEqual(await collect(chunked(['da', 'ta: {"a"', ':1}\n', '\n'])), [{ event: 'message', data: '{"a":1}' }]);
+  // The blank line that ends an event can straddle chunks too, CRLF included
+  assert.deepEqual(await collect(chunked(['data: one\r', '\n\r', '\ndata: two\n', '\n'])), [
+    { event: 'message', data: 'one' },
+    { event: 'message', data: 'two' }
+  ]);
+});
+
+test('readEventStream decodes multi-byte characters split between byte chunks', async () => {
+  const bytes = new TextEncoder().encode('data: café ✓\n\n');
+  const split = bytes.indexOf(0xc3) + 1; // between the two bytes of é
+  assert.deepEqual(await collect(chunked([bytes.slice(0, split), bytes.slice(split, -3), bytes.slice(-3)])), [
+    { event: 'message', data: 'café ✓' }
+  ]);
+});
+
+test('readEventStream handles named events, multi-line data, comments and a trailing partial event', async () => {
+  const events = await collect(chunked([
+    ': keep-alive\n\nevent: done\ndata: first\ndata: second\n\n',
+    'data: [DONE]\n\ndata: never termin',
+    'ated'
+  ]));
+  assert.deepEqual(events, [
+    { event: 'done', data: 'first\nsecond' },
+    { event: 'message', data: '[DONE]' }
+  ]);
+});
+
+// Retrieval stand-in for the mock provider; records the queries it was asked
+function cannedRetrieve(chunks) {
+  const queries = [];
+  const retrieve = async query => {
+    queries.push(query);
+    return { chunks, text: chunks.map(c => c.text).join('\n\n') };
+  };
+  return { retrieve, queries };
+}
+
+const MATCH = { id: 'projects-chatbot', section: 'projects', title: 'Portfolio Chatbot', text: 'Project: Portfolio Chatbot\n- Built a retrieval-grounded chatbot', card: 'Portfolio Chatbot', score: 3 };
+
+test('the mock provider answers the extracted question from the best chunks, the same way every time', async () => {
+  const { retrieve, queries } = cannedRetrieve([MATCH]);
+  const provider = createMockProvider({ retrieve });
+  const messages = [
+    { role: 'system', content: 'rules' },
+    { role: 'user', content: 'Resume Context (use this only):\n\nctx\n\nUser Question: What has he built?\n\nResponse (based strictly on the context above):' }
+  ];
+  const reply = await provider.complete(messages);
+  assert.equal(reply, answerFromChunks([MATCH]));
+  assert.equal(await provider.complete(messages), reply);
+  assert.deepEqual(queries, ['What has he built?', 'What has he built?']);
+  assert.equal(provider.name, 'mock');
+  assert.equal(provider.model, 'mock-resume');
+  assert.equal(provider.configError, null);
+});
+
+test('the mock provider admits when nothing in the resume matched', async () => {
+  // The summary fallback comes back without a score
+  const summary = { ...MATCH, score: undefined };
+  for (const chunks of [[], [summary]]) {
+    const provider = createMockProvider({ retrieve: cannedRetrieve(chunks).retrieve });
+    assert.equal(await provider.complete([{ role: 'user', content: 'Favourite colour?' }]), "Based on the resume, I don't have specific details on that.");
+  }
+});
+
+test('the mock provider streams its answer word by word and stops on abort', async () => {
+  const provider = createMockProvider({ retrieve: cannedRetrieve([MATCH]).retrieve });
+  const tokens = [];
+  for await (const token of provider.stream(MESSAGES)) tokens.push(token);
+  assert.ok(tokens.length > 1);
+  assert.equal(tokens.join(''), await provider.complete(MESSAGES));
+
+  const controller = new AbortController();
+  const seen = [];
+  await assert.rejects(async () => {
+    for await (const token of provider.stream(MESSAGES, { signal: controller.signal })) {
+      seen.push(token);
+      controller.abort();
+    }
+  }, err => err.name === 'AbortError');
+  assert.equal(seen.length, 1);
+});
+
+test('LLM_PROVIDER=mock builds the mock provider without a fallback chain', () => {
+  const provider = createProvider({ LLM_PROVIDER: 'mock', LLM_MODEL: 'offline' });
+  assert.equal(provider.name, 'mock');
+  assert.equal(provider.model, 'offline');
+  assert.equal(provider.models, undefined);
+});
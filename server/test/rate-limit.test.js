@@ -0,0 +1,97 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createTokenBucket, createChatLimiter, createDailyBudget, estimateTokens, clientIp } from '../lib/rate-limit.js';
+
+const NOW = 1_700_000_000_000;
+
+test('a bucket allows its burst, then refills over time', () => {
+  const bucket = createTokenBucket({ capacity: 2, refillPerMinute: 6 });
+  assert.equal(bucket.take('a', NOW).allowed, true);
+  assert.equal(bucket.take('a', NOW).allowed, true);
+  const blocked = bucket.take('a', NOW);
+  assert.equal(blocked.allowed, false);
+  assert.equal(blocked.retryAfterMs, 10000);
+  assert.equal(bucket.take('b', NOW).allowed, true);
+  assert.equal(bucket.take('a', NOW + 10000).allowed, true);
+});
+
+test('peek does not spend a token', () => {
+  const bucket = createTokenBucket({ capacity: 1, refillPerMinute: 1 });
+  assert.equal(bucket.peek('a', NOW).allowed, true);
+  assert.equal(bucket.peek('a', NOW).allowed, true);
+  assert.equal(bucket.take('a', NOW).allowed, true);
+  assert.equal(bucket.peek('a', NOW).allowed, false);
+});
+
+test('tracked clients never exceed maxKeys; idle full buckets go first, then the least recently seen', () => {
+  const bucket = createTokenBucket({ capacity: 2, refillPerMinute: 1, maxKeys: 3 });
+  bucket.take('idle', NOW - 120000); // full again by NOW
+  bucket.take('a', NOW);
+  bucket.take('b', NOW);
+  bucket.take('c', NOW);
+  assert.equal(bucket.size, 3);
+  assert.equal(bucket.peek('a', NOW).allowed, true);
+  assert.equal(bucket.take('b', NOW).allowed, true);
+  assert.equal(bucket.take('b', NOW).allowed, false, "'b' survived the prune with its spent tokens");
+  // Every bucket is mid-burst from here on, so the least recently seen clients are evicted
+  for (let i = 0; i < 50; i++) {
+    bucket.take(`client-${i}`, NOW);
+    assert.ok(bucket.size <= 3, `tracking ${bucket.size} clients`);
+  }
+  assert.equal(bucket.size, 3);
+});
+
+test('eviction keeps the clients seen most recently', () => {
+  const bucket = createTokenBucket({ capacity: 2, refillPerMinute: 1, maxKeys: 2 });
+  bucket.take('a', NOW);
+  bucket.take('b', NOW);
+  bucket.take('a', NOW + 1); // 'a' is now the most recently seen, and empty
+  bucket.take('c', NOW + 2);
+  assert.equal(bucket.size, 2);
+  assert.equal(bucket.peek('a', NOW + 3).allowed, false, "'a' kept its empty bucket");
+});
+
+test('clientIp takes the address the trusted proxy appended, not the one the client sent', () => {
+  const req = (xff, remoteAddress = '10.0.0.1') => ({ headers: xff === undefined ? {} : { 'x-forwarded-for': xff }, socket: { remoteAddress } });
+  assert.equal(clientIp(req('6.6.6.6, 203.0.113.7'), { trustProxy: true }), '203.0.113.7');
+  assert.equal(clientIp(req('203.0.113.7'), { trustProxy: true }), '203.0.113.7');
+  // Two proxies (CDN, then load balancer): the CDN's entry is the client
+  assert.equal(clientIp(req('6.6.6.6, 203.0.113.7, 198.51.100.2'), { trustProxy: true, hops: 2 }), '203.0.113.7');
+  assert.equal(clientIp(req('203.0.113.7'), { trustProxy: true, hops: 2 }), '203.0.113.7');
+  assert.equal(clientIp(req('6.6.6.6'), { trustProxy: false }), '10.0.0.1');
+  assert.equal(clientIp(req(' , '), { trustProxy: true }), '10.0.0.1');
+  assert.equal(clientIp({ headers: {} }, { trustProxy: true }), 'unknown');
+});
+
+test('the per-IP limit applies per client', () => {
+  const limiter = createChatLimiter({ perIp: { capacity: 1, refillPerMinute: 1 }, global: { capacity: 10, refillPerMinute: 10 } });
+  assert.equal(limiter.check('1.1.1.1', NOW), null);
+  assert.equal(limiter.check('1.1.1.1', NOW).scope, 'ip');
+  assert.equal(limiter.check('2.2.2.2', NOW), null);
+});
+
+test('a request refused by the global limit costs the client nothing', () => {
+  const limiter = createChatLimiter({ perIp: { capacity: 2, refillPerMinute: 1 }, global: { capacity: 1, refillPerMinute: 60 } });
+  assert.equal(limiter.check('1.1.1.1', NOW), null);
+  // The global bucket is empty now: refused for everyone, without touching the per-IP buckets
+  for (let i = 0; i < 5; i++) assert.equal(limiter.check('2.2.2.2', NOW).scope, 'global');
+  // Once it refills, 2.2.2.2 still has its whole burst
+  assert.equal(limiter.check('2.2.2.2', NOW + 1000), null);
+  assert.equal(limiter.check('2.2.2.2', NOW + 2000), null);
+  assert.equal(limiter.check('2.2.2.2', NOW + 3000).scope, 'ip');
+});
+
+test('a request refused per IP does not spend the global budget', () => {
+  const limiter = createChatLimiter({ perIp: { capacity: 1, refillPerMinute: 1 }, global: { capacity: 2, refillPerMinute: 1 } });
+  assert.equal(limiter.check('1.1.1.1', NOW), null);
+  for (let i = 0; i < 5; i++) assert.equal(limiter.check('1.1.1.1', NOW).scope, 'ip');
+  assert.equal(limiter.check('2.2.2.2', NOW), null);
+});
+
+test('the daily budget is exhausted once spent and resets at UTC midnight', () => {
+  const budget = createDailyBudget(100);
+  const day = Date.UTC(2026, 0, 1, 12);
+  budget.spend(estimateTokens('x'.repeat(400)), day);
+  assert.equal(budget.exhausted(day), true);
+  assert.equal(budget.exhausted(Date.UTC(2026, 0, 2, 0, 1)), false);
+});
@@ -0,0 +1,116 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { loadResume, invalidateResumeCache } from '../lib/resume-loader.js';
+import { PORTFOLIO_CONTENT_PATH } from '../lib/portfolio-content.js';
+import { getResumeResponse, downloadResumeResponse, respondWithResume } from '../lib/resume-api.js';
+import handler from '../../api/resume.js';
+
+// Express/Vercel response stand-in that records what was sent
+function fakeRes() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    },
+    end() {
+      return this;
+    }
+  };
+}
+
+test('loadResume returns the cached parse until a source changes', async () => {
+  const first = await loadResume();
+  assert.equal(await loadResume(), first);
+
+  // Touching a source changes its mtime, so the next call re-parses (same content, same etag)
+  const { atime, mtime } = fs.statSync(PORTFOLIO_CONTENT_PATH);
+  try {
+    fs.utimesSync(PORTFOLIO_CONTENT_PATH, atime, new Date(mtime.getTime() + 5000));
+    const reparsed = await loadResume();
+    assert.notEqual(reparsed, first);
+    assert.equal(reparsed.etag, first.etag);
+    assert.ok(reparsed.lastModified >= first.lastModified);
+  } finally {
+    fs.utimesSync(PORTFOLIO_CONTENT_PATH, atime, mtime);
+  }
+});
+
+test('concurrent loads share one parse', async () => {
+  invalidateResumeCache();
+  const results = await Promise.all([loadResume(), loadResume(), loadResume()]);
+  assert.equal(results[1], results[0]);
+  assert.equal(results[2], results[0]);
+});
+
+test('If-None-Match with the current ETag answers 304', async () => {
+  const fresh = await getResumeResponse();
+  assert.equal(fresh.status, 200);
+  const { ETag: etag } = fresh.headers;
+
+  const revalidated = await getResumeResponse({ ifNoneMatch: etag });
+  assert.equal(revalidated.status, 304);
+  assert.equal(revalidated.body, null);
+  assert.equal((await getResumeResponse({ ifNoneMatch: `W/${etag}, "other"` })).status, 304);
+  assert.equal((await getResumeResponse({ ifNoneMatch: '"stale"' })).status, 200);
+  // Each format has its own tag
+  assert.equal((await getResumeResponse({ format: 'text', ifNoneMatch: etag })).status, 200);
+});
+
+test('If-Modified-Since answers 304 unless a source is newer', async () => {
+  const fresh = await getResumeResponse();
+  const lastModified = fresh.headers['Last-Modified'];
+  assert.equal((await getResumeResponse({ ifModifiedSince: lastModified })).status, 304);
+  const earlier = new Date(Date.parse(lastModified) - 1000).toUTCString();
+  assert.equal((await getResumeResponse({ ifModifiedSince: earlier })).status, 200);
+  // If-None-Match wins when both are sent
+  assert.equal((await getResumeResponse({ ifNoneMatch: '"stale"', ifModifiedSince: lastModified })).status, 200);
+});
+
+test('downloads revalidate the same way', async () => {
+  const file = await downloadResumeResponse({ format: 'txt' });
+  assert.equal(file.status, 200);
+  assert.equal((await downloadResumeResponse({ format: 'txt', ifNoneMatch: file.headers.ETag })).status, 304);
+  assert.equal((await downloadResumeResponse({ format: 'doc' })).status, 400);
+});
+
+test('a handler that throws answers 500 JSON', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const res = fakeRes();
+  await respondWithResume(res, async () => {
+    throw new Error('render failed');
+  });
+  assert.equal(res.statusCode, 500);
+  assert.deepEqual(res.body, { error: 'Resume request failed' });
+  assert.equal(res.headers['cache-control'], 'no-store');
+});
+
+test('api/resume.js: serves the resume, 304s and rejects other methods', async () => {
+  const res = fakeRes();
+  await handler({ method: 'GET', query: {}, headers: {} }, res);
+  assert.equal(res.statusCode, 200);
+  assert.ok(res.body.resume.name);
+
+  const again = fakeRes();
+  await handler({ method: 'GET', query: {}, headers: { 'if-none-match': res.headers.etag } }, again);
+  assert.equal(again.statusCode, 304);
+
+  const put = fakeRes();
+  await handler({ method: 'PUT', query: {}, headers: {} }, put);
+  assert.equal(put.statusCode, 405);
+  assert.equal(put.headers.allow, 'GET');
+});
@@ -0,0 +1,77 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+// Shared with the page; a UMD file, so it loads as CommonJS
+import resumeContract from '../../js/resume-contract.js';
+import { getResumeResponse } from '../lib/resume-api.js';
+
+const { RESUME_CONTRACT_VERSION, RESUME_SCHEMA, validate, validateResumeResponse, resumeToText } = resumeContract;
+
+const ENVELOPE = {
+  version: RESUME_CONTRACT_VERSION,
+  generatedAt: '2026-06-02T10:00:00.000Z',
+  sources: ['PDF'],
+  resume: {
+    name: 'Test Person',
+    summary: 'Builds things.',
+    education: [{ degree: 'BSc', institution: 'Uni', dates: '2019 - 2023', grade: '9.1', details: [] }],
+    experience: [{ role: 'Engineer', company: 'Acme', location: 'Pune', dates: 'June 2023 - Present', details: ['Shipped it'] }],
+    projects: [{ name: 'Tool', dates: '2024', tags: ['Node'], details: ['Fast'] }],
+    skills: [{ category: 'Languages', items: ['Python', 'C++'] }],
+    certifications: [{ title: 'Cert', issuer: 'Org', year: '2024' }],
+    publications: [{ title: 'Paper', venue: 'Conf', year: '2025' }],
+    achievements: ['Won a prize']
+  }
+};
+
+test('GET /api/resume matches RESUME_SCHEMA', async () => {
+  const { status, body } = await getResumeResponse();
+  assert.equal(status, 200);
+  assert.deepEqual(validateResumeResponse(body), []);
+  assert.equal(body.version, RESUME_CONTRACT_VERSION);
+  assert.ok(body.resume.name);
+});
+
+test('GET /api/resume?format=text is resumeToText of the same resume', async () => {
+  const json = await getResumeResponse();
+  const text = await getResumeResponse({ format: 'text' });
+  assert.equal(text.type, 'text');
+  assert.equal(text.body, resumeToText(json.body.resume));
+});
+
+test('validate reports missing fields, wrong types and bad enums by path', () => {
+  assert.deepEqual(validateResumeResponse(ENVELOPE), []);
+
+  const { generatedAt, ...noDate } = ENVELOPE;
+  assert.ok(generatedAt);
+  assert.deepEqual(validateResumeResponse(noDate), ['$.generatedAt: required']);
+
+  const broken = {
+    ...ENVELOPE,
+    version: RESUME_CONTRACT_VERSION + 1,
+    sources: ['Word'],
+    resume: { ...ENVELOPE.resume, skills: [{ category: 'Languages', items: 'Python' }] }
+  };
+  const errors = validateResumeResponse(broken);
+  assert.ok(errors.some(e => e.startsWith('$.version:')), errors.join('\n'));
+  assert.ok(errors.some(e => e.startsWith('$.sources[0]:')), errors.join('\n'));
+  assert.ok(errors.includes('$.resume.skills[0].items: expected array, got string'), errors.join('\n'));
+});
+
+test('validate handles the schema subset it supports', () => {
+  assert.deepEqual(validate({ type: ['integer', 'null'] }, null), []);
+  assert.deepEqual(validate({ type: 'number' }, 3), []);
+  assert.deepEqual(validate({ type: 'integer', minimum: 1 }, 0), ['$: below 1']);
+  assert.deepEqual(validate({ type: 'string', format: 'date-time' }, 'yesterday'), ['$: not a date-time']);
+  assert.equal(RESUME_SCHEMA.properties.version.const, RESUME_CONTRACT_VERSION);
+});
+
+test('resumeToText: one block per section, empty sections left out', () => {
+  const text = resumeToText(ENVELOPE.resume);
+  assert.equal(text.split('\n\n')[0], 'Test Person\nBuilds things.');
+  assert.match(text, /EXPERIENCE\nEngineer @ Acme, Pune \(June 2023 - Present\)\n- Shipped it/);
+  assert.match(text, /EDUCATION\nBSc — Uni \(2019 - 2023\), CGPA: 9\.1/);
+  assert.match(text, /SKILLS\nLanguages: Python, C\+\+/);
+  assert.match(text, /CERTIFICATIONS\n- Cert \(Org\), 2024/);
+  assert.equal(resumeToText({ name: 'Only Name' }), 'Only Name');
+  assert.equal(resumeToText(null), '');
+});
@@ -0,0 +1,169 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { parseResumeToJson, parsePortfolioHtml, parsePortfolioContent, mergeResumeSources, emptyResume, PAGE_BREAK } from '../lib/resume-parser.js';
+import { readPdfText, parseResume, PORTFOLIO_HTML_PATH } from '../lib/resume-loader.js';
+import { PORTFOLIO_SECTIONS, readPortfolioContent } from '../lib/portfolio-content.js';
+
+// The checked-in resume, read once for every PDF test
+const pdfText = readPdfText();
+
+test('PDF: name, summary and skills', async () => {
+  const resume = parseResumeToJson(await pdfText);
+  assert.equal(resume.name, 'Athar Sayed');
+  assert.match(resume.summary, /^Generative AI Engineer/);
+  assert.deepEqual(resume.skills.map(s => s.category), [
+    'Programming Languages',
+    'Generative AI & LLM',
+    'ML & Data Frameworks',
+    'Backend & APIs',
+    'Cloud Platforms',
+    'DevOps & MLOps',
+    'Databases'
+  ]);
+  assert.deepEqual(resume.skills[0].items, ['Python', 'C++', 'JavaScript']);
+});
+
+test('PDF: experience entries with roles, companies and dates', async () => {
+  const { experience } = parseResumeToJson(await pdfText);
+  assert.deepEqual(experience.map(e => [e.role, e.company, e.dates]), [
+    ['Generative AI Intern', 'Diebold Nixdorf', 'February 2026 - Present'],
+    ['Software Engineer', 'FortytwoLabs', 'June 2023 - July 2024'],
+    ['Technical Intern', 'FortytwoLabs', 'Jan 2023 - May 2023']
+  ]);
+  experience.forEach(e => assert.ok(e.details.length > 0, `${e.role} has no details`));
+});
+
+test('PDF: education with degrees, institutions and grades', async () => {
+  const { education } = parseResumeToJson(await pdfText);
+  assert.deepEqual(education.map(e => [e.degree, e.dates]), [
+    ['M. Tech. – Artificial Intelligence', '2024 - 2026'],
+    ['B.Tech. – Electronics & Telecommunication Engineering', '2019 - 2023']
+  ]);
+  assert.match(education[0].institution, /NMIMS/);
+  assert.match(education[1].institution, /Symbiosis/);
+  assert.match(education[0].grade, /9\.08/);
+});
+
+test('PDF: projects, certifications and publications', async () => {
+  const resume = parseResumeToJson(await pdfText);
+  assert.deepEqual(resume.projects.map(p => p.name), [
+    'Context-Grounded LLM Assistant for Recruiter-Facing AI Search',
+    'IntelliTube – AI-Powered YouTube Insight Engine'
+  ]);
+  assert.equal(resume.certifications.length, 2);
+  assert.match(resume.publications[0].title, /^IOT Based Crowd Detection/);
+});
+
+test('PDF: every entry records the page it is on', async () => {
+  const resume = parseResumeToJson(await pdfText);
+  ['education', 'experience', 'projects', 'certifications', 'publications'].forEach(key => {
+    resume[key].forEach(entry => assert.equal(entry.page, 1, `${key}: ${entry.role || entry.name || entry.title || entry.degree}`));
+  });
+});
+
+test('PDF: entries after a page break are put on the next page', async () => {
+  // The checked-in resume is one page; start a second one at the PROJECTS heading
+  const twoPages = (await pdfText).replace(/^(\s*PROJECTS\s*)$/m, `${PAGE_BREAK}$1`);
+  const resume = parseResumeToJson(twoPages);
+  assert.deepEqual(resume.experience.map(e => e.page), [1, 1, 1]);
+  assert.deepEqual(resume.projects.map(p => p.page), [2, 2]);
+  assert.deepEqual(resume.publications.map(p => p.page), [2]);
+});
+
+test('PDF: text without page breaks leaves pages unset', async () => {
+  const resume = parseResumeToJson((await pdfText).replaceAll(PAGE_BREAK, ''));
+  assert.equal(resume.experience.length, 3);
+  resume.experience.forEach(e => assert.ok(!e.page));
+});
+
+test('HTML: name, contact links, education and achievements from index.html', () => {
+  const resume = parsePortfolioHtml(fs.readFileSync(PORTFOLIO_HTML_PATH, 'utf8'));
+  assert.equal(resume.name, 'Athar Sayed');
+  assert.ok(resume.summary.length > 0);
+  assert.equal(resume.contact.email, 'sayedathar242@gmail.com');
+  assert.deepEqual(resume.contact.profiles.map(p => p.network), ['LeetCode', 'HackerRank', 'LinkedIn', 'GitHub']);
+  assert.deepEqual(resume.education.map(e => e.degree), ['M.Tech — Artificial Intelligence', 'B.Tech — Electronics & Telecommunication']);
+  assert.equal(resume.education[0].cardTitle, 'M.Tech — Artificial Intelligence');
+  assert.match(resume.education[0].institution, /Mukesh Patel/);
+  assert.ok(resume.achievements.length > 0);
+});
+
+test('HTML: a page without the about section only yields the name', () => {
+  const resume = parsePortfolioHtml('<html><body><header><a class="logo">Jane Doe</a></header></body></html>');
+  assert.equal(resume.name, 'Jane Doe');
+  assert.equal(resume.summary, '');
+  assert.deepEqual(resume.contact, { email: '', profiles: [] });
+  assert.deepEqual(resume.education, []);
+});
+
+// Two extractions that disagree the way the PDF and the site do
+function sources() {
+  const pdf = {
+    ...emptyResume(),
+    projects: [
+      { name: 'IntelliTube – AI-Powered YouTube Insight Engine', dates: '2024', details: ['PDF wording'], page: 1 },
+      { name: 'PDF-only Project', details: ['Not on the site'], page: 2 }
+    ],
+    skills: [
+      { category: 'Programming Languages', items: ['Python', 'C++'] },
+      { category: 'Databases', items: ['MongoDB'] }
+    ]
+  };
+  const portfolio = {
+    ...emptyResume(),
+    projects: [
+      { cardTitle: 'Der Kurator', name: 'Der Kurator', details: ['Site only'] },
+      { cardTitle: 'IntelliTube: AI Powered YouTube Insight Engine', name: 'IntelliTube: AI Powered YouTube Insight Engine', details: ['Site wording'] }
+    ],
+    skills: [
+      { cardTitle: 'Programming & Analytics', category: 'Programming & Analytics', items: ['Python', 'C', 'DSA'] },
+      { cardTitle: 'AI & Machine Learning', category: 'AI & Machine Learning', items: ['python', 'PyTorch'] }
+    ]
+  };
+  return { pdf, portfolio };
+}
+
+test('merge: in authoritative sections the site decides entries, order and wording', () => {
+  const { pdf, portfolio } = sources();
+  const merged = mergeResumeSources(pdf, portfolio, { authoritative: PORTFOLIO_SECTIONS });
+  assert.deepEqual(merged.projects.map(p => [p.name, p.details, p.dates, p.page]), [
+    ['Der Kurator', ['Site only'], undefined, undefined],
+    // The PDF fills in what the card lacks (dates, page) but not what it says
+    ['IntelliTube: AI Powered YouTube Insight Engine', ['Site wording'], '2024', 1]
+  ]);
+  assert.deepEqual(merged.skills.map(s => [s.category, s.items]), [
+    ['Programming & Analytics', ['Python', 'C', 'DSA']],
+    ['AI & Machine Learning', ['PyTorch']]
+  ]);
+});
+
+test('merge: elsewhere the PDF is primary and the site supplements it', () => {
+  const { pdf, portfolio } = sources();
+  const merged = mergeResumeSources(pdf, portfolio);
+  assert.deepEqual(merged.projects.map(p => p.name), [
+    'IntelliTube – AI-Powered YouTube Insight Engine',
+    'PDF-only Project',
+    'Der Kurator'
+  ]);
+  // Skills are still listed once each, under the first category that has them
+  assert.deepEqual(merged.skills.map(s => [s.category, s.items]), [
+    ['Programming Languages', ['Python', 'C++']],
+    ['Databases', ['MongoDB']],
+    ['Programming & Analytics', ['C', 'DSA']],
+    ['AI & Machine Learning', ['PyTorch']]
+  ]);
+  // An empty authoritative section falls back to the PDF
+  assert.deepEqual(mergeResumeSources(pdf, emptyResume(), { authoritative: PORTFOLIO_SECTIONS }).projects.map(p => p.name),
+    pdf.projects.map(p => p.name));
+});
+
+test('parseResume: card sections match content/portfolio.json, each skill listed once', async () => {
+  const { resume } = await parseResume();
+  const content = parsePortfolioContent(readPortfolioContent());
+  PORTFOLIO_SECTIONS.forEach(key => {
+    assert.deepEqual(resume[key].map(item => item.cardTitle), content[key].map(item => item.cardTitle), key);
+  });
+  const items = resume.skills.flatMap(s => s.items.map(item => item.toLowerCase()));
+  assert.equal(new Set(items).size, items.length);
+});
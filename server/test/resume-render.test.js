@@ -0,0 +1,135 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { createPdf, textWidth, wrapText } from '../lib/pdf-writer.js';
+import { renderResume, resumeBlocks } from '../lib/resume-render.js';
+import { downloadResumeResponse } from '../lib/resume-api.js';
+import { parsePortfolioContent } from '../lib/resume-parser.js';
+import { readPortfolioContent } from '../lib/portfolio-content.js';
+
+// Objects, xref table and trailer of a generated PDF, read back the way a viewer would
+function readPdf(buffer) {
+  const raw = buffer.toString('latin1');
+  const startxref = Number(raw.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+  const [table, trailer] = raw.slice(startxref).split('trailer\n');
+  const offsets = table.split('\n').slice(3).filter(Boolean).map(line => Number(line.slice(0, 10)));
+  const objects = offsets.map(offset => raw.slice(offset, raw.indexOf('\nendobj\n', offset)));
+  // Decompressed content streams, in page order
+  const streams = objects.filter(o => o.includes('/FlateDecode')).map(o => {
+    const length = Number(o.match(/\/Length (\d+)/)[1]);
+    const start = o.indexOf('stream\n') + 'stream\n'.length;
+    return zlib.inflateSync(Buffer.from(o.slice(start, start + length), 'latin1')).toString('latin1');
+  });
+  return { raw, startxref, table, trailer, offsets, objects, streams };
+}
+
+const RESUME = {
+  name: 'Test Person',
+  summary: 'Builds things (mostly) with C:\\tools.',
+  contact: { email: 'test@example.com', profiles: [{ network: 'GitHub', url: 'https://github.com/test-person/' }] },
+  experience: [{ role: 'Engineer', company: 'Acme', location: 'Pune', dates: 'June 2023 - Present', details: ['Shipped <it> & more'] }],
+  projects: [{ name: 'Tool', dates: '2024', tags: ['Node', 'PDF'], details: ['Fast'] }],
+  education: [{ degree: 'BSc', institution: 'Uni', dates: '2019 - 2023', grade: '9.1' }],
+  skills: [{ category: 'Languages', items: ['Python', 'C++'] }],
+  certifications: [{ title: 'Cert', issuer: 'Org', year: '2024' }],
+  publications: [],
+  achievements: []
+};
+
+test('pdf-writer: xref offsets point at their objects and startxref at the table', () => {
+  const doc = createPdf({ title: 'Offsets' });
+  doc.addPage().text(50, 780, 'First page');
+  doc.addPage().text(50, 780, 'Second page');
+  const pdf = readPdf(doc.toBuffer());
+
+  assert.ok(pdf.raw.startsWith('%PDF-1.4\n'));
+  assert.ok(pdf.table.startsWith('xref\n0 '));
+  const size = Number(pdf.table.split('\n')[1].split(' ')[1]);
+  assert.equal(pdf.offsets.length, size - 1);
+  assert.match(pdf.trailer, new RegExp(`/Size ${size} `));
+  pdf.offsets.forEach((offset, i) => assert.ok(pdf.raw.startsWith(`${i + 1} 0 obj\n`, offset), `object ${i + 1} at ${offset}`));
+  // Every entry is exactly 20 bytes, as the spec requires
+  pdf.table.split('\n').slice(2).filter(line => /^\d{10} /.test(line)).forEach(line => assert.equal(line.length + 1, 20));
+});
+
+test('pdf-writer: the page tree counts every page', () => {
+  const doc = createPdf();
+  for (let i = 0; i < 3; i++) doc.addPage().text(50, 780, `Page ${i + 1}`);
+  const pdf = readPdf(doc.toBuffer());
+  assert.equal(doc.pageCount, 3);
+  assert.match(pdf.objects[1], /\/Kids \[7 0 R 9 0 R 11 0 R\] \/Count 3/);
+  assert.equal(pdf.objects.filter(o => o.includes('/Type /Page /Parent')).length, 3);
+  assert.deepEqual(pdf.streams.map(s => s.match(/\((Page \d)\)/)[1]), ['Page 1', 'Page 2', 'Page 3']);
+});
+
+test('pdf-writer: parentheses and backslashes are escaped in text strings', () => {
+  const doc = createPdf();
+  doc.addPage().text(50, 780, 'f(x) = a\\b (note)');
+  const [stream] = readPdf(doc.toBuffer()).streams;
+  assert.ok(stream.includes('(f\\(x\\) = a\\\\b \\(note\\)) Tj'), stream);
+});
+
+test('pdf-writer: text outside WinAnsi is mapped rather than corrupting the string', () => {
+  const doc = createPdf({ title: 'Ünïcode → title' });
+  doc.addPage().text(50, 780, 'Kafka → Spark ≥ 2, naïve, 漢');
+  const pdf = readPdf(doc.toBuffer());
+  assert.ok(pdf.streams[0].includes('(Kafka -> Spark >= 2, na\xefve, ?) Tj'), pdf.streams[0]);
+  // The title goes into the info dictionary as UTF-16
+  assert.match(pdf.objects[5], /\/Title <FEFF/);
+});
+
+test('pdf-writer: wrapText keeps every line within the width', () => {
+  const text = 'Built a retrieval-grounded portfolio chatbot with streaming answers and citations '.repeat(4);
+  const lines = wrapText(text, 'regular', 10, 200);
+  assert.ok(lines.length > 1);
+  lines.forEach(line => assert.ok(textWidth(line, 'regular', 10) <= 200, line));
+  assert.equal(lines.join(' '), text.trim());
+  assert.ok(textWidth('WWW', 'bold', 10) > textWidth('iii', 'bold', 10));
+  assert.deepEqual(wrapText('', 'regular', 10, 200), []);
+});
+
+test('resume-render: blocks cover every section in order', () => {
+  const kinds = resumeBlocks(RESUME).filter(b => b.kind === 'heading').map(b => b.text);
+  assert.deepEqual(kinds, ['Summary', 'Experience', 'Projects', 'Education', 'Skills', 'Certifications']);
+  assert.deepEqual(resumeBlocks(RESUME)[1], { kind: 'contact', text: 'test@example.com | github.com/test-person' });
+});
+
+test('resume-render: text, HTML and PDF carry the same resume', () => {
+  const txt = renderResume(RESUME, 'txt');
+  assert.equal(txt.filename, 'Test-Person-Resume.txt');
+  assert.match(txt.body, /^Test Person\ntest@example\.com/);
+  assert.match(txt.body, /EXPERIENCE\nEngineer, Acme \| June 2023 - Present\nPune\n- Shipped <it> & more/);
+  assert.match(txt.body, /SKILLS\nLanguages: Python, C\+\+/);
+
+  const html = renderResume(RESUME, 'html');
+  assert.equal(html.contentType, 'text/html; charset=utf-8');
+  assert.match(html.body, /<li>Shipped &lt;it&gt; &amp; more<\/li>/);
+  assert.match(html.body, /<p><b>Languages:<\/b> Python, C\+\+<\/p>/);
+
+  const pdf = renderResume(RESUME, 'pdf');
+  assert.ok(Buffer.isBuffer(pdf.body));
+  const text = readPdf(pdf.body).streams.join('\n');
+  assert.ok(text.includes('(Builds things \\(mostly\\) with C:\\\\tools.) Tj'), 'summary escaped');
+  assert.ok(text.includes('(Shipped <it> & more) Tj'));
+});
+
+test('resume-render: a long resume flows onto more pages', () => {
+  const details = Array.from({ length: 12 }, (_, i) => `Detail ${i + 1} about work that needs a few words to describe properly`);
+  const long = { ...RESUME, experience: Array.from({ length: 10 }, (_, i) => ({ role: `Role ${i + 1}`, company: 'Acme', dates: '2024', details })) };
+  const pdf = readPdf(renderResume(long, 'pdf').body);
+  const count = Number(pdf.objects[1].match(/\/Count (\d+)/)[1]);
+  assert.ok(count > 1);
+  assert.equal(pdf.streams.length, count);
+  // Nothing is lost across the page breaks
+  assert.equal(pdf.streams.join('\n').match(/\(Detail 1 about/g).length, 10);
+});
+
+test('downloads list the cards from content/portfolio.json', async () => {
+  const { status, body } = await downloadResumeResponse({ format: 'txt' });
+  assert.equal(status, 200);
+  const content = parsePortfolioContent(readPortfolioContent());
+  content.projects.forEach(p => assert.ok(body.includes(p.name), p.name));
+  content.experience.forEach(e => assert.ok(body.includes(`${e.role}, ${e.company}`), e.role));
+  const skills = body.split('SKILLS\n')[1].split('\n\n')[0].split('\n');
+  assert.deepEqual(skills.map(line => line.split(':')[0]), content.skills.map(s => s.category));
+});
@@ -0,0 +1,111 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { tokenize, buildChunks, createIndex, toCitation, retrieveContext, answerFromChunks, suggestFollowUps } from '../lib/retrieval.js';
+
+// A small resume in the /api/resume shape
+const RESUME = {
+  name: 'Jane Doe',
+  summary: 'Machine learning engineer building retrieval systems.',
+  experience: [
+    { role: 'Software Engineer', company: 'Acme', location: 'Pune', dates: '2023 - 2024', details: ['Built Kafka pipelines', 'Shipped a FastAPI service'], cardTitle: 'Software Engineer', page: 1 },
+    { role: 'Intern', company: 'Globex', dates: '2022', details: ['Labelled data'], page: 2 }
+  ],
+  projects: [
+    { name: 'StreamPulse: Real-Time Fraud Detection', tags: ['Kafka', 'Spark'], details: ['Streams transactions through Kafka'], cardTitle: 'StreamPulse' },
+    { name: 'IntelliTube', tags: ['LangChain'], details: ['Summarises YouTube videos'], cardTitle: 'IntelliTube', page: 1 }
+  ],
+  education: [{ degree: 'M.Tech — Artificial Intelligence', institution: 'NMIMS', dates: '2024 - 2026', grade: '9.08', details: [] }],
+  skills: [{ category: 'Programming Languages', items: ['Python', 'C++'] }],
+  certifications: [{ title: 'OCI AI Foundations', issuer: 'Oracle', year: '2025' }],
+  publications: [{ title: 'Crowd Detection with IoT', venue: 'IJRASET', year: '2023' }],
+  achievements: ['Won a hackathon']
+};
+
+test('tokenize lower-cases, keeps tech tokens and drops stopwords', () => {
+  assert.deepEqual(tokenize('What does Athar know about C++, Node.js and CI/CD?'), ['know', 'c++', 'node.js', 'ci', 'cd']);
+  assert.deepEqual(tokenize(''), []);
+});
+
+test('buildChunks makes one chunk per entry with unique ids, cards and pages', () => {
+  const chunks = buildChunks(RESUME);
+  assert.deepEqual(chunks.map(c => c.id), [
+    'summary-professional-summary',
+    'experience-software-engineer-acme',
+    'experience-intern-globex',
+    'projects-streampulse-real-time-fraud-detection',
+    'projects-intellitube',
+    'education-m-tech-artificial-intelligence',
+    'skills-programming-languages',
+    'certifications-certifications',
+    'publications-crowd-detection-with-iot',
+    'achievements-achievements'
+  ]);
+  const job = chunks[1];
+  assert.equal(job.title, 'Software Engineer @ Acme');
+  assert.equal(job.text, 'Software Engineer at Acme, Pune (2023 - 2024)\n- Built Kafka pipelines\n- Shipped a FastAPI service');
+  assert.equal(job.card, 'Software Engineer');
+  assert.equal(job.page, 1);
+  assert.equal(chunks[2].card, null);
+  assert.match(chunks[0].text, /^Name: Jane Doe/);
+});
+
+test('buildChunks keeps ids unique when titles repeat and skips empty sections', () => {
+  const chunks = buildChunks({ projects: [{ name: 'Same' }, { name: 'Same' }], achievements: [] });
+  assert.deepEqual(chunks.map(c => c.id), ['summary-professional-summary', 'projects-same', 'projects-same-2']);
+  assert.deepEqual(buildChunks({}).map(c => c.id), ['summary-professional-summary']);
+});
+
+test('search ranks the entry that matches the query first', () => {
+  const index = createIndex(buildChunks(RESUME));
+  const [top, second] = index.search('Who used Kafka?');
+  assert.equal(top.id, 'projects-streampulse-real-time-fraud-detection');
+  assert.equal(second.id, 'experience-software-engineer-acme');
+  assert.ok(top.score > second.score);
+  assert.equal(index.search('kafka', 1).length, 1);
+  assert.deepEqual(index.search('hello there'), []);
+});
+
+test('section keywords route questions without shared words', () => {
+  const index = createIndex(buildChunks(RESUME));
+  assert.equal(index.search('Where did he study?')[0].section, 'education');
+  assert.equal(index.search('Is he certified?')[0].section, 'certifications');
+  assert.equal(index.search('Any research papers?')[0].section, 'publications');
+});
+
+test('retrieveContext drops weak hits and falls back to the summary', async () => {
+  const index = createIndex(buildChunks(RESUME));
+  const kafka = await retrieveContext('StreamPulse fraud detection', { index });
+  assert.deepEqual(kafka.chunks.map(c => c.id), ['projects-streampulse-real-time-fraud-detection']);
+  assert.match(kafka.text, /^\[projects-streampulse-real-time-fraud-detection\] StreamPulse: Real-Time Fraud Detection\nProject:/);
+
+  const vague = await retrieveContext('hi!', { index });
+  assert.deepEqual(vague.chunks.map(c => c.id), ['summary-professional-summary']);
+});
+
+test('citations point at the section anchor, the card and the resume page', () => {
+  const chunks = buildChunks(RESUME);
+  assert.deepEqual(toCitation(chunks[1]), {
+    id: 'experience-software-engineer-acme', section: '#experience', card: 'Software Engineer', page: 1, label: 'Software Engineer'
+  });
+  assert.deepEqual(toCitation(chunks[2]), {
+    id: 'experience-intern-globex', section: '#experience', card: null, page: 2, label: 'Intern @ Globex'
+  });
+  assert.equal(toCitation(chunks.find(c => c.section === 'education')).section, '#about');
+  assert.equal(toCitation({ id: 'x', section: 'unknown', title: 'X' }).section, '#home');
+});
+
+test('answerFromChunks lists titles for a section, or quotes the top chunk', () => {
+  const chunks = buildChunks(RESUME);
+  const projects = chunks.filter(c => c.section === 'projects');
+  assert.equal(answerFromChunks(projects), 'Projects from the resume:\n- StreamPulse\n- IntelliTube');
+  assert.equal(answerFromChunks([chunks[1]]), 'Software Engineer at Acme, Pune (2023 - 2024)\n- Built Kafka pipelines\n- Shipped a FastAPI service');
+  assert.equal(answerFromChunks([]), '');
+});
+
+test('follow-up suggestions skip questions already asked', () => {
+  const chunks = buildChunks(RESUME).filter(c => c.section === 'projects');
+  const suggestions = suggestFollowUps(chunks);
+  assert.equal(suggestions.length, 3);
+  assert.equal(suggestions[0], 'What stack did StreamPulse use?');
+  assert.ok(!suggestFollowUps(chunks, { asked: ['what stack did streampulse use'] }).includes('What stack did StreamPulse use?'));
+});
@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { allowedOrigins, corsAllowlist } from '../lib/security.js';
+
+// Just enough of Express's req/res for the middleware
+function run(middleware, { origin, host = 'athar.example', protocol = 'http', headers = {}, path = '/api/chat' }) {
+  const req = {
+    method: 'POST',
+    path,
+    protocol,
+    headers: { ...headers, ...(origin ? { origin } : {}) },
+    get: name => (name.toLowerCase() === 'host' ? host : undefined)
+  };
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    setHeader(name, value) {
+      res.headers[name] = value;
+    },
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    end() {
+      return res;
+    }
+  };
+  let passed = false;
+  middleware(req, res, () => { passed = true; });
+  return { passed, res };
+}
+
+test('allows the page calling its own API over plain http', () => {
+  const { passed, res } = run(corsAllowlist(new Set(), { trustProxy: false }), { origin: 'http://athar.example' });
+  assert.ok(passed);
+  assert.equal(res.headers['Access-Control-Allow-Origin'], 'http://athar.example');
+});
+
+test('uses X-Forwarded-Proto behind a trusted TLS proxy', () => {
+  const options = { origin: 'https://athar.example', headers: { 'x-forwarded-proto': 'https' } };
+  assert.ok(run(corsAllowlist(new Set(), { trustProxy: true }), options).passed);
+
+  // Untrusted: the header is ignored and the https page no longer matches the http request
+  const { passed, res } = run(corsAllowlist(new Set(), { trustProxy: false }), options);
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 403);
+});
+
+test('a forged X-Forwarded-Proto does not admit another host', () => {
+  const { passed } = run(corsAllowlist(new Set(), { trustProxy: true }), {
+    origin: 'https://evil.example',
+    headers: { 'x-forwarded-proto': 'https' }
+  });
+  assert.equal(passed, false);
+});
+
+test('allowlisted origins pass and foreign ones are refused on /api only', () => {
+  const cors = corsAllowlist(new Set(['https://friend.example']), { trustProxy: false });
+  assert.ok(run(cors, { origin: 'https://friend.example' }).passed);
+  assert.equal(run(cors, { origin: 'https://evil.example' }).res.statusCode, 403);
+  const page = run(cors, { origin: 'https://evil.example', path: '/index.html' });
+  assert.ok(page.passed);
+  assert.equal(page.res.headers['Access-Control-Allow-Origin'], undefined);
+});
+
+test('Live Server origins are only allowed outside production', () => {
+  assert.deepEqual([...allowedOrigins({})], ['http://localhost:5500', 'http://127.0.0.1:5500']);
+  assert.deepEqual([...allowedOrigins({ NODE_ENV: 'production' })], []);
+  assert.deepEqual([...allowedOrigins({ NODE_ENV: 'production', CORS_ORIGINS: 'https://a.example/, https://b.example' })],
+    ['https://a.example', 'https://b.example']);
+});
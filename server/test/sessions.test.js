@@ -0,0 +1,107 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createSessionStore, getSessionResponse, isSessionId } from '../lib/sessions.js';
+
+const NOW = Date.UTC(2026, 5, 2, 10, 0, 0);
+const HOUR = 60 * 60 * 1000;
+
+// Persistence is debounced by 250ms
+const saved = () => new Promise(resolve => setTimeout(resolve, 300));
+
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'nested', 'sessions.json');
+}
+
+test('sessions expire once idle for longer than the TTL', () => {
+  const store = createSessionStore({ ttlMs: HOUR, filePath: '' });
+  const { id } = store.create(NOW);
+  assert.ok(isSessionId(id));
+  assert.equal(store.get(id, NOW + HOUR).id, id);
+
+  // Appending a turn counts as activity
+  store.append(id, [{ role: 'user', content: 'Hi' }], NOW + HOUR);
+  assert.equal(store.get(id, NOW + 2 * HOUR).id, id);
+  assert.equal(store.get(id, NOW + 2 * HOUR + 1), null);
+  // Expired sessions are gone for good, not just hidden
+  assert.equal(store.get(id, NOW), null);
+});
+
+test('past maxSessions the least recently used session is evicted', () => {
+  const store = createSessionStore({ maxSessions: 2, filePath: '' });
+  const a = store.create(NOW);
+  const b = store.create(NOW + 1);
+  store.append(a.id, [{ role: 'user', content: 'Still here' }], NOW + 2);
+  const c = store.create(NOW + 3);
+  assert.ok(store.get(a.id, NOW + 4));
+  assert.equal(store.get(b.id, NOW + 4), null);
+  assert.ok(store.get(c.id, NOW + 4));
+});
+
+test('only the last maxTurns turns are kept', () => {
+  const store = createSessionStore({ maxTurns: 3, filePath: '' });
+  const { id } = store.create(NOW);
+  store.append(id, ['1', '2'].map(content => ({ role: 'user', content })), NOW);
+  store.append(id, ['3', '4'].map(content => ({ role: 'assistant', content })), NOW + 1);
+  assert.deepEqual(store.get(id, NOW + 2).turns.map(t => [t.content, t.at]), [['2', NOW], ['3', NOW + 1], ['4', NOW + 1]]);
+  assert.equal(store.append('not-a-session', [{ role: 'user', content: 'x' }]), null);
+});
+
+test('sessions survive a restart through the session file', async (t) => {
+  const filePath = tempFile(t);
+  t.mock.method(console, 'log', () => {});
+  const before = createSessionStore({ filePath });
+  const session = before.create();
+  before.append(session.id, [
+    { role: 'user', content: 'What projects has he built?' },
+    { role: 'assistant', content: 'A portfolio chatbot.', citations: [{ id: 'projects-chatbot', label: 'Portfolio Chatbot' }] }
+  ]);
+  await saved();
+  assert.ok(fs.existsSync(filePath));
+
+  const after = createSessionStore({ filePath });
+  assert.deepEqual(after.get(session.id), before.get(session.id));
+});
+
+test('an unreadable session file starts an empty store', (t) => {
+  const filePath = tempFile(t);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, '{ not json');
+  const errors = t.mock.method(console, 'error', () => {});
+  const store = createSessionStore({ filePath });
+  assert.equal(errors.mock.callCount(), 1);
+  assert.equal(store.get('00000000-0000-4000-8000-000000000000'), null);
+});
+
+test('getSessionResponse restores a stored conversation, and 404s unknown or malformed ids', () => {
+  // getSessionResponse checks expiry against the clock
+  const now = Date.now();
+  const store = createSessionStore({ filePath: '' });
+  const { id } = store.create(now);
+  store.append(id, [
+    { role: 'user', content: 'Where did he study?' },
+    { role: 'assistant', content: 'At a university.', citations: [{ id: 'education-uni', label: 'BSc' }] },
+    { role: 'assistant', content: 'No citations here.', citations: [] }
+  ], now + 1000);
+
+  const { status, body } = getSessionResponse(store, id);
+  assert.equal(status, 200);
+  assert.deepEqual(body, {
+    id,
+    createdAt: new Date(now).toISOString(),
+    updatedAt: new Date(now + 1000).toISOString(),
+    turns: [
+      { role: 'user', content: 'Where did he study?', at: new Date(now + 1000).toISOString() },
+      { role: 'assistant', content: 'At a university.', at: new Date(now + 1000).toISOString(), citations: [{ id: 'education-uni', label: 'BSc' }] },
+      { role: 'assistant', content: 'No citations here.', at: new Date(now + 1000).toISOString() }
+    ]
+  });
+
+  assert.deepEqual(getSessionResponse(store, '00000000-0000-4000-8000-000000000000'), { status: 404, body: { error: 'Session not found' } });
+  assert.equal(getSessionResponse(store, '../etc/passwd').status, 404);
+  assert.equal(getSessionResponse(store, undefined).status, 404);
+});